@@ -1,6 +1,12 @@
-// public/app.js — responsive pointer mapping + presence + peers UI
-import * as Y from "https://cdn.jsdelivr.net/npm/yjs@13.6.23/+esm";
-import { WebsocketProvider } from "https://cdn.jsdelivr.net/npm/y-websocket@2.0.3/+esm";
+// public/app.js — infinite canvas (pan / zoom) + presence + peers UI
+// (bare imports resolve through the import map the server puts in room.html; see /vendor)
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import { IndexeddbPersistence } from "y-indexeddb";
+import {
+  rawBounds, strokeMatrix, worldBounds, paintBounds, intersects, distToSegment, simplifyPoints, drawStroke, createTileCache,
+  strokeTimeline, strokeAt, onImageLoad
+} from "./render.js";
 
 const roomId = decodeURIComponent(location.pathname.split("/").pop());
 
@@ -12,10 +18,24 @@ const overlay = $("overlay");
 const nameEl = $("name");
 const colorEl = $("color");
 const sizeEl = $("size");
+const toolEl = $("tool");
+const fillEl = $("fill");
+const opacityEl = $("opacity");
+const simplifyEl = $("simplify");
 const clearBtn = $("clear");
+const deleteSelBtn = $("deleteSel");
+const undoBtn = $("undo");
+const redoBtn = $("redo");
 const saveBtn = $("save");
 const openBtn = $("open");
+const pickerEl = $("picker");
+const pickerSearch = $("pickerSearch");
+const pickerList = $("pickerList");
 const exportBtn = $("export");
+const exportSvgBtn = $("exportSvg");
+const importBtn = $("import");
+const importFile = $("importFile");
+const inviteBtn = $("invite");
 const logoutBtn = $("logout");
 const sessionBadge = $("sessionBadge");
 const peersEl = $("peers");
@@ -23,6 +43,29 @@ const avatarsEl = $("avatars");
 const roomsMonitor = $("roomsMonitor");
 const statusEl = $("status");
 const peersSummary = $("peersSummary");
+const layersEl = $("layers");
+const addLayerBtn = $("addLayer");
+const zoomOutBtn = $("zoomOut");
+const zoomInBtn = $("zoomIn");
+const zoomResetBtn = $("zoomReset");
+const zoomFitBtn = $("zoomFit");
+const replayBtn = $("replay");
+const playbackEl = $("playback");
+const playPauseBtn = $("playPause");
+const scrubEl = $("scrub");
+const speedEl = $("speed");
+const playbackLabel = $("playbackLabel");
+const closePlaybackBtn = $("closePlayback");
+const presentBtn = $("present");
+const followBar = $("followBar");
+const followLabel = $("followLabel");
+const stopFollowBtn = $("stopFollow");
+const commentsEl = $("comments");
+const threadEl = $("thread");
+const showResolvedEl = $("showResolved");
+const chatLog = $("chatLog");
+const chatForm = $("chatForm");
+const chatInput = $("chatInput");
 
 if (roomTag) roomTag.textContent = `#${roomId}`;
 const ctx = cvs.getContext("2d");
@@ -33,22 +76,201 @@ const state = {
   drawing: false,
   color: "#" + Math.floor(Math.random() * 0xffffff).toString(16).padStart(6, "0"),
   size: 4,
-  authedUser: null
+  authedUser: null,
+  role: null, // "owner" | "editor" | "viewer" once room access is known
+  roomTitle: "",
+  archived: false,
+  createdAt: null, // when the room record was made, to tell a re-created room from ours
+  connection: "disconnected", // y-websocket status
+  pending: 0, // local changes made since the server last confirmed a sync
+  limits: null, // the room's { strokes, points } quotas
+  stopped: null, // why the server ended our session for good; shown instead of the connection
+  openComment: null, // id of the comment thread shown in the panel
+  strokeT0: 0, // pointerdown timeStamp of the stroke being drawn
+  playback: null, // replay state while the playback bar is open
+  following: null, // awareness clientID whose view we track
+  presenter: null, // clientID of the peer presenting, if any
+  presenting: false,
+  selected: new Set(), // ids of selected strokes (select tool)
+  activeLayer: null // id of the layer new strokes go to
 };
 if (colorEl) colorEl.value = state.color;
 if (sizeEl) sizeEl.value = String(state.size);
 
 // ----- Yjs provider -----
+// y-websocket appends the room name to the server url; it connects once room access is checked
 const wsProto = location.protocol === "https:" ? "wss" : "ws";
 const provider = new WebsocketProvider(
-  `${wsProto}://${location.host}/yjs/${encodeURIComponent(roomId)}`,
-  roomId,
+  `${wsProto}://${location.host}/yjs`,
+  encodeURIComponent(roomId),
   new Y.Doc(),
-  { connect: true }
+  { connect: false }
 );
 const awareness = provider.awareness;
 const ydoc = provider.doc;
 const ystrokes = ydoc.getArray("strokes");
+const ylayers = ydoc.getMap("layers"); // id -> Y.Map { name, visible, locked, opacity, order }
+const ychat = ydoc.getArray("chat"); // { id, author, text, at }, written by the server only
+const ycomments = ydoc.getMap("comments"); // id -> Y.Map { x, y, author, text, at, resolved, resolvedBy, replies }
+
+// ----- stroke model -----
+// Each stroke is a Y.Map with a stable `id`, so peers can edit different keys of the same
+// stroke (say, one recolors while another moves it) and both changes survive the merge.
+// Geometry is never rewritten: moves, scales and rotations live in tx/ty/rot/scale.
+const newId = () => crypto.randomUUID?.() ?? Date.now().toString(36) + Math.random().toString(36).slice(2);
+function toYStroke(s) {
+  const m = new Y.Map();
+  Object.entries({ ...s, id: s.id || newId() }).forEach(([k, v]) => { if (v !== undefined) m.set(k, v); });
+  return m;
+}
+const strokeOf = (item) => (item instanceof Y.Map ? item.toJSON() : item);
+const findStroke = (id) => ystrokes.toArray().find((m) => m instanceof Y.Map && m.get("id") === id);
+
+// ----- layers -----
+// Layers live in a Y.Map keyed by id and are stacked by their `order` key, so reordering is
+// a single key update rather than a delete + insert. Strokes point at their layer by id.
+// A room with no layers has one implicit layer, created for real on the first layer edit.
+const DEFAULT_LAYER = "default";
+const DEFAULT_LAYER_PROPS = { name: "Layer 1", visible: true, locked: false, opacity: 1, order: 0 };
+function layerList() {
+  const list = [];
+  ylayers.forEach((m, id) => list.push({ id, ...DEFAULT_LAYER_PROPS, ...m.toJSON() }));
+  if (!list.length) list.push({ id: DEFAULT_LAYER, ...DEFAULT_LAYER_PROPS });
+  return list.sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1)); // bottom → top
+}
+// strokes whose layer is missing (deleted by a peer, or saved before layers) use the bottom layer
+function layerIdOf(s, layers = layerList()) {
+  return layers.some((l) => l.id === s.layer) ? s.layer : layers[0].id;
+}
+function layerById(id) {
+  return layerList().find((l) => l.id === id);
+}
+function toYLayer(props) {
+  const m = new Y.Map();
+  Object.entries(props).forEach(([k, v]) => m.set(k, v));
+  return m;
+}
+function materializeLayers() {
+  if (ylayers.size === 0) ylayers.set(DEFAULT_LAYER, toYLayer({ ...DEFAULT_LAYER_PROPS }));
+}
+function updateLayer(id, patch) {
+  transactLocal(() => {
+    materializeLayers();
+    const m = ylayers.get(id);
+    if (m) Object.entries(patch).forEach(([k, v]) => m.set(k, v));
+  });
+}
+function addLayer() {
+  const layers = layerList();
+  const id = newId();
+  transactLocal(() => {
+    materializeLayers();
+    ylayers.set(id, toYLayer({ ...DEFAULT_LAYER_PROPS, name: `Layer ${layers.length + 1}`, order: layers.at(-1).order + 1 }));
+  });
+  state.activeLayer = id;
+  renderLayersPanel();
+}
+// move one step up (+1) or down (-1) by taking an order between the next two neighbours
+function moveLayer(id, dir) {
+  const layers = layerList();
+  const i = layers.findIndex((l) => l.id === id);
+  const j = i + dir;
+  if (j < 0 || j >= layers.length) return;
+  const beyond = layers[j + dir];
+  const order = beyond ? (layers[j].order + beyond.order) / 2 : layers[j].order + dir;
+  updateLayer(id, { order });
+}
+function deleteLayer(id) {
+  const layers = layerList();
+  if (layers.length < 2) return alert("A drawing needs at least one layer.");
+  if (!confirm(`Delete "${layerById(id)?.name}" and everything drawn on it?`)) return;
+  transactLocal(() => {
+    materializeLayers();
+    for (let i = ystrokes.length - 1; i >= 0; i--)
+      if (layerIdOf(strokeOf(ystrokes.get(i)), layers) === id) ystrokes.delete(i, 1);
+    ylayers.delete(id);
+  });
+}
+// can the local user draw on / select things in this layer?
+const layerEditable = (l) => !!l && l.visible && !l.locked;
+function activeLayer() {
+  const layers = layerList();
+  return layers.find((l) => l.id === state.activeLayer) ?? layers.at(-1);
+}
+
+function renderLayersPanel() {
+  if (!layersEl) return;
+  const active = activeLayer();
+  state.activeLayer = active.id;
+  const readOnly = state.role === "viewer";
+  layersEl.innerHTML = "";
+  layerList().reverse().forEach((l) => {
+    const row = document.createElement("li");
+    row.className = "layer-row" + (l.id === active.id ? " active" : "");
+    row.onclick = () => { state.activeLayer = l.id; renderLayersPanel(); };
+
+    const name = document.createElement("span");
+    name.className = "layer-name";
+    name.textContent = l.name;
+    name.title = "Double-click to rename";
+    name.ondblclick = () => {
+      if (readOnly) return;
+      const next = prompt("Layer name:", l.name)?.trim();
+      if (next) updateLayer(l.id, { name: next });
+    };
+
+    const btn = (label, title, fn, on = false) => {
+      const b = document.createElement("button");
+      b.className = "layer-btn" + (on ? " on" : "");
+      b.textContent = label; b.title = title; b.disabled = readOnly;
+      b.onclick = (e) => { e.stopPropagation(); fn(); };
+      return b;
+    };
+    const opacity = document.createElement("input");
+    opacity.type = "range"; opacity.min = "0"; opacity.max = "1"; opacity.step = "0.05";
+    opacity.value = String(l.opacity); opacity.title = "Layer opacity"; opacity.disabled = readOnly;
+    opacity.onclick = (e) => e.stopPropagation();
+    opacity.onchange = () => updateLayer(l.id, { opacity: Number(opacity.value) });
+
+    row.append(
+      btn(l.visible ? "👁" : "—", "Show / hide", () => updateLayer(l.id, { visible: !l.visible }), l.visible),
+      btn(l.locked ? "🔒" : "🔓", "Lock / unlock", () => updateLayer(l.id, { locked: !l.locked }), l.locked),
+      name,
+      opacity,
+      btn("▲", "Move up", () => moveLayer(l.id, 1)),
+      btn("▼", "Move down", () => moveLayer(l.id, -1)),
+      btn("✕", "Delete layer", () => deleteLayer(l.id))
+    );
+    layersEl.appendChild(row);
+  });
+  if (addLayerBtn) addLayerBtn.disabled = readOnly;
+}
+if (addLayerBtn) addLayerBtn.onclick = addLayer;
+
+// ----- undo / redo (only our own changes) -----
+// Every local edit is made with LOCAL_ORIGIN; remote updates arrive with the provider as
+// origin, so the UndoManager never takes back what a collaborator did.
+const LOCAL_ORIGIN = { local: ydoc.clientID };
+const undoManager = new Y.UndoManager([ystrokes, ylayers], { trackedOrigins: new Set([LOCAL_ORIGIN]) });
+const transactLocal = (fn) => {
+  ydoc.transact(fn, LOCAL_ORIGIN);
+  undoManager.stopCapturing(); // one undo step per stroke / clear / open
+};
+function updateUndoButtons() {
+  const readOnly = state.role === "viewer";
+  if (undoBtn) undoBtn.disabled = readOnly || undoManager.undoStack.length === 0;
+  if (redoBtn) redoBtn.disabled = readOnly || undoManager.redoStack.length === 0;
+}
+["stack-item-added", "stack-item-popped", "stack-cleared"].forEach((e) => undoManager.on(e, updateUndoButtons));
+if (undoBtn) undoBtn.onclick = () => undoManager.undo();
+if (redoBtn) redoBtn.onclick = () => undoManager.redo();
+window.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || state.role === "viewer") return;
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) { e.preventDefault(); undoManager.undo(); }
+  else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); undoManager.redo(); }
+});
 
 // ----- auth helpers -----
 async function me() {
@@ -67,6 +289,72 @@ async function refreshAuthUI() {
     location.href = `/?room=${encodeURIComponent(roomId)}&needLogin=1`;
   }
 }
+// redeem ?token=… from an invite link before the first connection attempt
+async function redeemInvite() {
+  const token = new URLSearchParams(location.search).get("token");
+  if (!token) return;
+  const r = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/join`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify({ token })
+  });
+  if (!r.ok) alert("This invite link is no longer valid.");
+  history.replaceState(null, "", location.pathname);
+}
+// opening a room nobody has created yet creates it, with us as its owner
+async function createRoom() {
+  const r = await fetch("/api/rooms", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: JSON.stringify({ name: roomId })
+  });
+  if (r.ok || r.status === 409) return true; // 409: someone else created it first
+  const data = await r.json().catch(() => ({}));
+  if (statusEl) statusEl.textContent = `Can't create #${roomId}: ${data.issues?.[0]?.message || data.error || "request failed"}.`;
+  return false;
+}
+// ask the server for our role in this room and lock the UI for view-only members
+async function refreshRoomAccess() {
+  const url = `/api/rooms/${encodeURIComponent(roomId)}/access`;
+  let r = await fetch(url, { credentials: "same-origin", cache: "no-store" });
+  if (r.status === 404) {
+    if (!(await createRoom())) return false;
+    r = await fetch(url, { credentials: "same-origin", cache: "no-store" });
+  }
+  const access = await r.json();
+  // an archived room is read-only for everyone, the owner included, until it is unarchived
+  state.role = access.archived && access.role ? "viewer" : access.role;
+  state.roomTitle = access.title || "";
+  state.archived = !!access.archived;
+  state.createdAt = access.createdAt || null;
+  state.limits = access.limits || null;
+  if (chatInput) chatInput.disabled = state.archived;
+  if (!access.role) {
+    if (statusEl) statusEl.textContent = `You are not a member of #${roomId}. Ask ${access.owner} for an invite link.`;
+    return false;
+  }
+  const readOnly = state.role === "viewer";
+  updateCursor(); // view-only members can still pan and zoom
+  [clearBtn, deleteSelBtn, importBtn].forEach((b) => { if (b) b.disabled = readOnly; });
+  updateUndoButtons();
+  renderLayersPanel();
+  if (roomTag) {
+    const label = access.title ? `${access.title} · #${roomId}` : `#${roomId}`;
+    roomTag.textContent = access.archived ? `${label} (archived)` : readOnly ? `${label} (view only)` : label;
+    roomTag.title = access.description || "";
+  }
+  if (inviteBtn) {
+    inviteBtn.hidden = access.role !== "owner";
+    inviteBtn.onclick = async () => {
+      const link = `${location.origin}/room/${encodeURIComponent(roomId)}?token=${access.joinToken}`;
+      await navigator.clipboard?.writeText(link).catch(() => {});
+      prompt(`Invite link (joins as ${access.joinRole}):`, link);
+    };
+  }
+  return true;
+}
 async function doLogout() {
   await fetch("/auth/logout", { method: "POST", credentials: "same-origin" });
   location.href = `/?room=${encodeURIComponent(roomId)}`;
@@ -74,16 +362,76 @@ async function doLogout() {
 if (logoutBtn) logoutBtn.onclick = doLogout;
 
 // ----- presence helpers -----
+// Presence carries the cursor, the world rect we are looking at (`view`), our tool, whether we
+// are presenting and, while drawing, the stroke in progress as `draft`. Peers draw
+// drafts as ghost strokes on their overlay. Pointer moves are coalesced into one awareness
+// update per PRESENCE_MS and long drafts are thinned, so a stroke costs bounded bandwidth.
+// A draft never becomes content by itself: pointerup pushes the real stroke, and a client that
+// disconnects mid-stroke drops out of awareness, which discards its ghost.
+const PRESENCE_MS = 50;
+const DRAFT_MAX_POINTS = 256;
+let presenceTimer = null;
+let queuedCursor = null;
 function ensurePresence(cursor = null) {
+  clearTimeout(presenceTimer);
+  presenceTimer = null;
   const name = (nameEl?.value || state.authedUser || "").trim() || "user";
   const color = colorEl?.value || state.color;
-  awareness.setLocalState({ name, color, cursor });
+  awareness.setLocalState({
+    name, color, cursor, draft: draftOf(state.active),
+    view: sharedView(), tool: toolEl?.value || "pen", presenting: state.presenting || undefined
+  });
+}
+function queuePresence(cursor) {
+  queuedCursor = cursor;
+  if (!presenceTimer) presenceTimer = setTimeout(() => ensurePresence(queuedCursor), PRESENCE_MS);
+}
+// view and tool changes ride along with the next coalesced update, keeping the cursor where it is
+const republish = () => queuePresence(presenceTimer ? queuedCursor : awareness.getLocalState()?.cursor ?? null);
+const round1 = (v) => Math.round(v * 10) / 10;
+function draftOf(s) {
+  if (!s) return null;
+  if (!s.points) return s;
+  // evenly thinned, always keeping the newest point
+  const step = Math.ceil(s.points.length / DRAFT_MAX_POINTS);
+  const pts = s.points.filter((_, i) => i % step === 0 || i === s.points.length - 1);
+  return { ...s, points: pts.map((p) => (p.p === undefined ? { x: round1(p.x), y: round1(p.y) } : { x: round1(p.x), y: round1(p.y), p: p.p })) };
 }
 
 // rebroadcast on connect/focus/color change
 provider.on("status", (e) => {
-  if (statusEl) statusEl.textContent = `connection: ${e.status}`;
-  if (e.status === "connected") ensurePresence();
+  state.connection = e.status;
+  renderConnection();
+  if (e.status === "connected") { ensurePresence(); refreshRoomAccess(); }
+});
+// 4403: the owner removed us from the room; 4404: the room was deleted. Either way stop
+// reconnecting, and forget the local copy so it can't leak into a room re-created later.
+// 4413 (over the room's quota), 4422 (touched chat or comments) and 1009 (message too big) refuse a
+// change we still hold, which every reconnect would send again, so stop and drop it too; a reload
+// starts from the server's copy.
+// 4401: an admin disconnected us; stay out until a reload.
+provider.on("connection-close", (e) => {
+  if (e?.code === 4401) {
+    provider.disconnect();
+    state.stopped = `${e.reason || "Disconnected by an admin"}. Reload to rejoin.`;
+    return renderConnection();
+  }
+  if (e?.code === 4413 || e?.code === 4422 || e?.code === 1009) {
+    provider.disconnect();
+    forgetLocalCopy();
+    state.stopped = `${e.reason || "Change too large"}: it was not saved. Reload to continue.`;
+    return renderConnection();
+  }
+  if (e?.code === 4404) {
+    provider.disconnect();
+    forgetLocalCopy();
+    state.stopped = `#${roomId} was deleted by its owner.`;
+    return renderConnection();
+  }
+  if (e?.code !== 4403) return;
+  provider.disconnect();
+  forgetLocalCopy();
+  refreshRoomAccess();
 });
 window.addEventListener("focus", () => ensurePresence());
 colorEl?.addEventListener("input", () => ensurePresence());
@@ -92,22 +440,238 @@ setInterval(() => {
   if (s) awareness.setLocalState(s);
 }, 30000);
 
-// ----- drawing render -----
-function redraw() {
-  ctx.clearRect(0, 0, cvs.width, cvs.height);
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(0, 0, cvs.width, cvs.height);
-  ystrokes.forEach((s) => {
-    if (s.tool !== "pen") return;
-    ctx.strokeStyle = s.color;
-    ctx.lineWidth = s.size;
-    ctx.lineCap = "round";
-    ctx.beginPath();
-    s.points.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
-    ctx.stroke();
+// ----- viewport (pan / zoom) -----
+// Strokes, cursors and selections all live in unbounded world coordinates. The view maps them
+// onto the board: screen = (world - view.x/y) * view.zoom, in CSS pixels. Each peer has its own
+// view, so nothing about it is shared through Yjs.
+const view = { x: 0, y: 0, zoom: 1 };
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 20;
+const FRAME = { x0: 0, y0: 0, x1: 1200, y1: 720 }; // the old fixed board; what a fresh room shows
+let dpr = window.devicePixelRatio || 1;
+const toScreen = (p) => ({ x: (p.x - view.x) * view.zoom, y: (p.y - view.y) * view.zoom });
+const toWorld = (p) => ({ x: p.x / view.zoom + view.x, y: p.y / view.zoom + view.y });
+const setWorldTransform = (c) => {
+  const k = dpr * view.zoom;
+  c.setTransform(k, 0, 0, k, -view.x * k, -view.y * k);
+};
+const setScreenTransform = (c) => c.setTransform(dpr, 0, 0, dpr, 0, 0);
+function visibleRect() {
+  const w = cvs.width / dpr / view.zoom, h = cvs.height / dpr / view.zoom;
+  return { x0: view.x, y0: view.y, x1: view.x + w, y1: view.y + h };
+}
+function sharedView() {
+  const r = visibleRect();
+  return { x0: round1(r.x0), y0: round1(r.y0), x1: round1(r.x1), y1: round1(r.y1) };
+}
+
+// repaint at most once per frame while panning / zooming
+let redrawQueued = false;
+function requestRedraw() {
+  if (redrawQueued) return;
+  redrawQueued = true;
+  requestAnimationFrame(() => { redrawQueued = false; redraw(); });
+}
+function panBy(dx, dy) {
+  view.x -= dx / view.zoom;
+  view.y -= dy / view.zoom;
+  requestRedraw();
+  republish();
+}
+// zoom keeping the world point under screen point `at` fixed
+function zoomAt(at, factor) {
+  const before = toWorld(at);
+  view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+  view.x = before.x - at.x / view.zoom;
+  view.y = before.y - at.y / view.zoom;
+  if (zoomResetBtn) zoomResetBtn.textContent = `${Math.round(view.zoom * 100)}%`;
+  requestRedraw();
+  republish();
+}
+function fitView(b, maxZoom = MAX_ZOOM, pad = 24) {
+  const w = cvs.width / dpr, h = cvs.height / dpr;
+  const zoom = Math.min(maxZoom, (w - pad * 2) / Math.max(1, b.x1 - b.x0), (h - pad * 2) / Math.max(1, b.y1 - b.y0));
+  view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  view.x = (b.x0 + b.x1) / 2 - w / 2 / view.zoom;
+  view.y = (b.y0 + b.y1) / 2 - h / 2 / view.zoom;
+  zoomAt({ x: 0, y: 0 }, 1);
+}
+// box around everything drawn, or null for an empty room
+function contentBounds() {
+  const list = ystrokes.toArray().map(boundsOf);
+  if (!list.length) return null;
+  return {
+    x0: Math.min(...list.map((b) => b.x0)), y0: Math.min(...list.map((b) => b.y0)),
+    x1: Math.max(...list.map((b) => b.x1)), y1: Math.max(...list.map((b) => b.y1))
+  };
+}
+// the canvases' pixel size follows their CSS size (and the screen's pixel ratio)
+function resizeCanvases() {
+  dpr = window.devicePixelRatio || 1;
+  const r = cvs.getBoundingClientRect();
+  const w = Math.max(1, Math.round(r.width * dpr)), h = Math.max(1, Math.round(r.height * dpr));
+  if (cvs.width === w && cvs.height === h) return;
+  [cvs, overlay].forEach((c) => { c.width = w; c.height = h; });
+  redraw();
+  republish();
+}
+new ResizeObserver(resizeCanvases).observe(cvs);
+
+// ----- geometry -----
+// (bounds, transforms and painting live in render.js, shared with the benchmark page)
+// { s, b } per stroke item: the plain stroke and the world box it paints into, dropped whenever
+// that stroke's Y.Map changes, so redraws don't re-read 10k Y.Maps
+const strokeCache = new WeakMap();
+function entryOf(item) {
+  let e = strokeCache.get(item);
+  if (!e) {
+    const s = strokeOf(item);
+    strokeCache.set(item, (e = { s, b: paintBounds(s) }));
+  }
+  return e;
+}
+const boundsOf = (item) => entryOf(item).b;
+// does world point `p` touch stroke `s`? (tested in the stroke's own untransformed space)
+function hitTest(s, p, slop = 4 / view.zoom) {
+  const m = strokeMatrix(s);
+  const q = m ? m.inverse().transformPoint(p) : p;
+  const tol = (s.size || 0) / 2 + slop / (s.scale ?? 1);
+  switch (s.tool) {
+    case "pen":
+      if (s.points.length === 1) return Math.hypot(q.x - s.points[0].x, q.y - s.points[0].y) <= tol;
+      return s.points.some((pt, i) => i > 0 && distToSegment(q, s.points[i - 1], pt) <= tol);
+    case "line":
+    case "arrow":
+      return distToSegment(q, { x: s.x1, y: s.y1 }, { x: s.x2, y: s.y2 }) <= tol;
+    case "rect": {
+      const inside = q.x >= s.x && q.x <= s.x + s.w && q.y >= s.y && q.y <= s.y + s.h;
+      if (s.fill && inside) return true;
+      const c = [{ x: s.x, y: s.y }, { x: s.x + s.w, y: s.y }, { x: s.x + s.w, y: s.y + s.h }, { x: s.x, y: s.y + s.h }];
+      return c.some((a, i) => distToSegment(q, a, c[(i + 1) % 4]) <= tol);
+    }
+    case "ellipse": {
+      const rx = s.w / 2, ry = s.h / 2;
+      const nx = (q.x - s.x - rx) / (rx || 1), ny = (q.y - s.y - ry) / (ry || 1);
+      const r = Math.hypot(nx, ny);
+      return (s.fill && r <= 1) || Math.abs(r - 1) * Math.min(rx, ry) <= tol;
+    }
+    case "text":
+    case "image": {
+      const b = rawBounds(s);
+      return q.x >= b.x0 && q.x <= b.x1 && q.y >= b.y0 && q.y <= b.y1;
+    }
+    default:
+      return false; // erasers are invisible and never selectable
+  }
+}
+
+// Full repaint, used while dragging a selection, during playback and for exports. Each layer is
+// painted on a scratch canvas first, so erasers only cut through their own layer and layer
+// opacity applies to the layer as a whole. Only strokes whose bounds meet `rect` (world units,
+// drawn at `k` device pixels per unit) are painted.
+const scratch = document.createElement("canvas");
+const sctx = scratch.getContext("2d");
+function paintWorld(c, rect, k) {
+  paintStrokes(c, rect, k, ystrokes.toArray().map((item) => {
+    const s = entryOf(item).s;
+    if (!state.drag || !state.selected.has(s.id)) return { s, b: boundsOf(item) };
+    const moved = previewTransform(s);
+    return { s: moved, b: paintBounds(moved) };
+  }));
+}
+// `list` holds { s, b } entries: a stroke and its paint bounds
+function paintStrokes(c, rect, k, list) {
+  const { width, height } = c.canvas;
+  c.setTransform(1, 0, 0, 1, 0, 0);
+  c.clearRect(0, 0, width, height);
+  if (scratch.width !== width || scratch.height !== height) {
+    scratch.width = width; scratch.height = height;
+  }
+  const layers = layerList();
+  const byLayer = new Map(layers.map((l) => [l.id, []]));
+  list.forEach(({ s, b }) => {
+    if (intersects(b, rect)) byLayer.get(layerIdOf(s, layers)).push(s);
   });
+  layers.forEach((l) => {
+    const list = byLayer.get(l.id);
+    if (!l.visible || !list.length) return;
+    sctx.setTransform(1, 0, 0, 1, 0, 0);
+    sctx.clearRect(0, 0, width, height);
+    sctx.setTransform(k, 0, 0, k, -rect.x0 * k, -rect.y0 * k);
+    list.forEach((s) => drawStroke(sctx, s));
+    c.globalAlpha = l.opacity;
+    c.drawImage(scratch, 0, 0);
+    c.globalAlpha = 1;
+  });
+}
+// Everything else goes through the tile cache (see render.js): a redraw only re-composites
+// cached tiles, and the Yjs observers below tell it what changed.
+const tiles = createTileCache({
+  strokes: () => {
+    const layers = layerList();
+    return ystrokes.toArray().map((item) => {
+      const e = entryOf(item);
+      return { ...e, layer: layerIdOf(e.s, layers) };
+    });
+  },
+  onSettle: () => requestRedraw()
+});
+function redraw() {
+  if (state.playback) paintPlayback(ctx, visibleRect(), dpr * view.zoom);
+  else if (state.drag) paintWorld(ctx, visibleRect(), dpr * view.zoom);
+  else {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, cvs.width, cvs.height);
+    tiles.draw(ctx, visibleRect(), dpr * view.zoom, layerList());
+  }
+  setWorldTransform(ctx); // live pen strokes paint straight onto the board
+  if (state.active && paintsDirect(state.active)) drawStroke(ctx, state.active);
+  pruneSelection();
+  drawCursorsAndPeers();
+}
+// Strokes pushed to the end of the array (the common case: someone finished a stroke) paint
+// into the cached tiles. An edited stroke drops the tiles under it; deletes and inserts
+// anywhere else (undo, clear, concurrent edits) repaint from scratch.
+function appendedItems(e) {
+  const delta = e.changes.delta;
+  const last = delta.at(-1);
+  const retained = delta.reduce((n, op) => n + (op.retain || 0), 0);
+  const inserts = delta.filter((op) => op.insert);
+  if (delta.some((op) => op.delete) || inserts.length !== 1 || !last.insert) return null;
+  return retained + last.insert.length === ystrokes.length ? last.insert : null;
 }
-ystrokes.observe(redraw);
+ystrokes.observeDeep((events) => {
+  let full = false;
+  const added = [];
+  const dirty = [];
+  events.forEach((e) => {
+    if (e.target === ystrokes) {
+      const items = appendedItems(e);
+      if (items) added.push(...items); else full = true;
+    } else if (e.target instanceof Y.Map) {
+      const before = strokeCache.get(e.target);
+      strokeCache.delete(e.target);
+      if (before) dirty.push(before.b);
+      dirty.push(boundsOf(e.target));
+    }
+  });
+  if (full) tiles.reset();
+  else {
+    if (dirty.length) tiles.invalidate(dirty);
+    if (added.length) {
+      const layers = layerList();
+      tiles.append(added.map((item) => ({ ...entryOf(item), layer: layerIdOf(entryOf(item).s, layers) })));
+    }
+  }
+  redraw();
+});
+// Adding or removing a layer, or reordering, can change which layer a stroke with a missing
+// layer falls back to; visibility, opacity and names only change how tiles are composited.
+ylayers.observeDeep((events) => {
+  if (events.some((e) => e.target === ylayers || e.keysChanged?.has("order"))) tiles.reset();
+  redraw();
+  renderLayersPanel();
+});
 
 // ----- peers UI -----
 function initials(name) {
@@ -117,9 +681,23 @@ function initials(name) {
   return (parts[0][0] + (parts[1]?.[0] || "")).toUpperCase();
 }
 
+// a peer's stroke in progress, faded; drafts come from other clients, so check their shape
+const GHOST_TOOLS = new Set(["pen", "eraser", "line", "arrow", "rect", "ellipse"]);
+function drawGhost(d) {
+  if (!GHOST_TOOLS.has(d.tool) || (FREEHAND.has(d.tool) && !Array.isArray(d.points))) return;
+  if (layerById(d.layer)?.visible === false) return;
+  const ghost = d.tool === "eraser"
+    ? { ...d, tool: "pen", color: "#9ca3af", opacity: 0.4 } // the overlay can't cut holes, so outline the path
+    : { ...d, opacity: (Number(d.opacity) || 1) * 0.5 };
+  setWorldTransform(octx);
+  drawStroke(octx, ghost);
+  setScreenTransform(octx);
+}
 function drawCursorsAndPeers() {
   // clear layers
+  octx.setTransform(1, 0, 0, 1, 0, 0);
   octx.clearRect(0, 0, overlay.width, overlay.height);
+  setScreenTransform(octx);
   if (peersEl) peersEl.innerHTML = "";
   if (avatarsEl) avatarsEl.innerHTML = "";
 
@@ -133,23 +711,28 @@ function drawCursorsAndPeers() {
     // Skip anonymous placeholders
     if (!name || name.toLowerCase() === "user" || name.toLowerCase() === "guest") return;
 
-    // Draw live cursor for others (coords are in canvas internal units)
+    if (st?.draft && cid !== awareness.clientID) drawGhost(st.draft);
+    // Draw live cursor for others (shared in world units, drawn at our own pan / zoom)
     if (st?.cursor && cid !== awareness.clientID) {
-      const { x, y } = st.cursor;
+      const { x, y } = toScreen(st.cursor);
       octx.fillStyle = color;
       octx.beginPath(); octx.arc(x, y, 6, 0, Math.PI * 2); octx.fill();
       octx.font = "12px system-ui"; octx.fillText(name, x + 10, y + 4);
     }
 
-    entriesByName.set(name, { name, color });
+    entriesByName.set(name, { name, color, cid, tool: st?.tool, presenting: !!st?.presenting });
   });
 
+  drawPreview();
+  drawSelection();
+  drawPins();
+
   // Ensure we include ourselves even if echo is delayed
   if (state.authedUser) {
     const selfName = state.authedUser.trim();
     if (selfName && !entriesByName.has(selfName)) {
       const selfColor = colorEl?.value || state.color;
-      entriesByName.set(selfName, { name: selfName, color: selfColor });
+      entriesByName.set(selfName, { name: selfName, color: selfColor, cid: awareness.clientID, presenting: state.presenting });
     }
   }
 
@@ -161,16 +744,25 @@ function drawCursorsAndPeers() {
       const tag = document.createElement("span");
       tag.className = "peer-tag";
       tag.textContent = e.name;
+      tag.title = e.tool ? `using ${e.tool}` : "";
       tag.style.borderColor = e.color;
       peersEl.appendChild(tag);
     }
     if (avatarsEl) {
       const av = document.createElement("div");
       av.className = "avatar";
-      av.title = e.name;
+      av.title = e.name + (e.tool ? ` · ${e.tool}` : "") + (e.presenting ? " · presenting" : "");
       av.textContent = initials(e.name);
       av.style.borderColor = e.color;
       av.style.color = e.color;
+      av.classList.toggle("presenting", e.presenting);
+      // click someone else to follow their view, again to stop
+      if (e.cid !== awareness.clientID) {
+        av.classList.add("followable");
+        av.classList.toggle("following", state.following === e.cid);
+        av.title += state.following === e.cid ? " — click to stop following" : " — click to follow";
+        av.onclick = () => (state.following === e.cid ? stopFollowing() : follow(e.cid));
+      }
       avatarsEl.appendChild(av);
     }
   });
@@ -179,70 +771,656 @@ function drawCursorsAndPeers() {
     peersSummary.textContent = `${entries.length} online: ${entries.map(e => e.name).join(", ")}`;
   }
 }
-awareness.on("change", drawCursorsAndPeers);
+awareness.on("change", () => { syncFollow(); drawCursorsAndPeers(); });
+
+// ----- follow mode and presenting -----
+// Following a peer fits their shared view onto our board every time it changes, until we pan,
+// zoom or draw ourselves (or they leave). A presenter pulls in everyone who isn't presenting
+// once, when the presentation starts; anyone who looks away can click their avatar to rejoin.
+let lastFollowed = ""; // the peer view (and our board size) last fitted, so repeats are skipped
+function peerView(st) {
+  const v = st?.view;
+  if (!v || ![v.x0, v.y0, v.x1, v.y1].every(Number.isFinite)) return null;
+  return v.x1 > v.x0 && v.y1 > v.y0 ? v : null;
+}
+function follow(cid) {
+  state.following = cid;
+  lastFollowed = "";
+  syncFollow();
+  drawCursorsAndPeers();
+}
+function stopFollowing() {
+  if (state.following === null) return;
+  state.following = null;
+  syncFollow();
+  drawCursorsAndPeers();
+}
+function syncFollow() {
+  const states = awareness.getStates();
+  const presenter = [...states.entries()].find(([cid, st]) => cid !== awareness.clientID && st?.presenting)?.[0] ?? null;
+  if (presenter !== state.presenter) {
+    if (presenter !== null && !state.presenting) { state.following = presenter; lastFollowed = ""; }
+    else if (state.following === state.presenter) state.following = null; // their presentation ended
+    state.presenter = presenter;
+  }
+  const st = state.following === null ? null : states.get(state.following);
+  if (!st) state.following = null; // they left
+  const v = peerView(st);
+  const key = v && `${v.x0},${v.y0},${v.x1},${v.y1}@${cvs.width}x${cvs.height}`;
+  if (v && key !== lastFollowed) {
+    lastFollowed = key;
+    fitView(v, MAX_ZOOM, 0);
+  }
+  if (followBar) {
+    followBar.hidden = !st;
+    followBar.style.borderColor = st?.color || "";
+    if (followLabel) followLabel.textContent = st ? `Following ${st.name || "a peer"}${st.presenting ? " (presenting)" : ""}` : "";
+  }
+}
+stopFollowBtn?.addEventListener("click", stopFollowing);
+presentBtn?.addEventListener("click", () => {
+  state.presenting = !state.presenting;
+  presentBtn.textContent = state.presenting ? "Stop presenting" : "Present";
+  presentBtn.classList.toggle("primary", state.presenting);
+  if (state.presenting) stopFollowing();
+  republish();
+});
 document.addEventListener("visibilitychange", () => { if (!document.hidden) drawCursorsAndPeers(); });
 
-// ----- responsive pointer mapping -----
-// Canvas has fixed internal size (width/height attributes), but CSS scales it.
-// Map client coords -> internal coords using scale from bounding rect.
-function getXY(e) {
+// ----- pointer mapping -----
+// client coords -> CSS pixels on the board -> world coords
+function screenXY(e) {
   const r = cvs.getBoundingClientRect();
-  const scaleX = cvs.width / r.width;
-  const scaleY = cvs.height / r.height;
+  return { x: e.clientX - r.left, y: e.clientY - r.top };
+}
+const getXY = (e) => toWorld(screenXY(e));
+
+// ----- tools -----
+// Opaque pen and eraser strokes paint straight onto the board as points arrive. Shapes and
+// translucent pens preview on the overlay, since overlapping segments would darken the joints.
+const FREEHAND = new Set(["pen", "eraser"]);
+const paintsDirect = (s) => s.tool === "eraser" || (s.tool === "pen" && (s.opacity ?? 1) === 1);
+function currentStyle() {
   return {
-    x: (e.clientX - r.left) * scaleX,
-    y: (e.clientY - r.top) * scaleY
+    color: colorEl.value,
+    size: Number(sizeEl.value),
+    opacity: Number(opacityEl?.value ?? 1)
+  };
+}
+// Freehand points carry `t`, ms since the stroke started, for playback. A stylus adds its
+// pressure to each pen point; mice and fingers report none worth keeping.
+function penPoint(e) {
+  const p = { ...getXY(e), t: Math.max(0, Math.round(e.timeStamp - state.strokeT0)) };
+  return e.pointerType === "pen" && toolEl?.value === "pen" ? { ...p, p: Math.round(e.pressure * 100) / 100 } : p;
+}
+// who started a stroke and when; the server corrects both when the stroke reaches the room
+const stamp = () => ({ author: state.authedUser ?? undefined, at: new Date().toISOString() });
+const INPUTS = new Set(["mouse", "pen", "touch"]);
+function startStroke(tool, p, input) {
+  const style = { ...currentStyle(), layer: activeLayer().id, ...stamp() };
+  switch (tool) {
+    case "pen":
+    case "eraser":
+      return { tool, ...style, input: INPUTS.has(input) ? input : undefined, points: [p] };
+    case "line":
+    case "arrow":
+      return { tool, ...style, x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+    case "rect":
+    case "ellipse":
+      return { tool, ...style, x: p.x, y: p.y, w: 0, h: 0, fill: fillEl?.checked ? colorEl.value : null };
+  }
+}
+function extendStroke(s, p) {
+  if (FREEHAND.has(s.tool)) {
+    if (s.points.length < (state.limits?.points ?? Infinity)) s.points.push(p); // the server refuses longer strokes
+  } else if (s.tool === "line" || s.tool === "arrow") { s.x2 = p.x; s.y2 = p.y; }
+  else {
+    const a = state.anchor;
+    s.x = Math.min(a.x, p.x); s.y = Math.min(a.y, p.y);
+    s.w = Math.abs(p.x - a.x); s.h = Math.abs(p.y - a.y);
+  }
+}
+// Before a freehand stroke is committed its points are simplified (tolerance in screen pixels,
+// from the Simplify control) and rounded, which is most of what keeps saved drawings small.
+function finishStroke(s) {
+  if (!FREEHAND.has(s.tool)) return s;
+  const tolerance = Number(simplifyEl?.value ?? 1) / view.zoom;
+  const points = simplifyPoints(s.points, tolerance, s.size).map((p) => {
+    const q = { x: round1(p.x), y: round1(p.y) };
+    if (p.p !== undefined) q.p = p.p;
+    if (p.t !== undefined) q.t = p.t;
+    return q;
+  });
+  return { ...s, points };
+}
+// drop clicks that produced an empty shape
+function isEmptyStroke(s) {
+  if (s.tool === "line" || s.tool === "arrow") return Math.hypot(s.x2 - s.x1, s.y2 - s.y1) < 1;
+  if (s.tool === "rect" || s.tool === "ellipse") return s.w < 1 && s.h < 1;
+  return false;
+}
+function drawPreview() {
+  const s = state.active;
+  if (!s || paintsDirect(s)) return;
+  setWorldTransform(octx);
+  drawStroke(octx, s);
+  setScreenTransform(octx);
+}
+// the server disconnects clients that go over the room's stroke quota, so check before adding
+function roomHasSpace(n = 1) {
+  const max = state.limits?.strokes;
+  if (!max || ystrokes.length + n <= max) return true;
+  if (statusEl) statusEl.textContent = `#${roomId} is full (${max} strokes at most). Delete some strokes first.`;
+  return false;
+}
+function placeText(p) {
+  const text = prompt("Text:");
+  if (!text?.trim()) return;
+  const { color, size, opacity } = currentStyle();
+  const stroke = {
+    tool: "text", color, size, opacity, layer: activeLayer().id, ...stamp(),
+    x: p.x, y: p.y, text, fontSize: Math.max(12, size * 4)
+  };
+  transactLocal(() => ystrokes.push([toYStroke(stroke)]));
+}
+
+// ----- selection (select tool) -----
+// state.selected holds stroke ids. While dragging, state.drag describes a similarity transform
+// (move, or scale/rotate about the selection's center) previewed locally and written on release.
+const HANDLE = 8;
+function selectedStrokes() {
+  return ystrokes.toArray().map((item) => entryOf(item).s).filter((s) => state.selected.has(s.id));
+}
+function pruneSelection() {
+  if (!state.selected.size) return;
+  const live = new Set(selectableStrokes().map((s) => s.id));
+  state.selected.forEach((id) => { if (!live.has(id)) state.selected.delete(id); });
+}
+function selectionBounds() {
+  const list = selectedStrokes().map((s) => worldBounds(state.drag ? previewTransform(s) : s));
+  if (!list.length) return null;
+  return {
+    x0: Math.min(...list.map((b) => b.x0)), y0: Math.min(...list.map((b) => b.y0)),
+    x1: Math.max(...list.map((b) => b.x1)), y1: Math.max(...list.map((b) => b.y1))
+  };
+}
+// handle positions in world units; they keep a constant on-screen size and offset
+function selectionHandles(b) {
+  return {
+    scale: { x: b.x1, y: b.y1 },
+    rotate: { x: (b.x0 + b.x1) / 2, y: b.y0 - 24 / view.zoom }
+  };
+}
+// apply the drag's similarity transform to a stroke's tx/ty/rot/scale
+function applySimilarity(s, { dx = 0, dy = 0, angle = 0, factor = 1, pivot }) {
+  const b = rawBounds(s);
+  const cx = (b.x0 + b.x1) / 2, cy = (b.y0 + b.y1) / 2;
+  // the stroke's center in world space; rotation/scale about it leave it in place
+  let wx = cx + (s.tx || 0), wy = cy + (s.ty || 0);
+  if (pivot) {
+    const ox = (wx - pivot.x) * factor, oy = (wy - pivot.y) * factor;
+    wx = pivot.x + ox * Math.cos(angle) - oy * Math.sin(angle);
+    wy = pivot.y + ox * Math.sin(angle) + oy * Math.cos(angle);
+  }
+  return { tx: wx + dx - cx, ty: wy + dy - cy, rot: (s.rot || 0) + angle, scale: (s.scale ?? 1) * factor };
+}
+function previewTransform(s) {
+  return state.drag && state.selected.has(s.id) ? { ...s, ...applySimilarity(s, state.drag.delta) } : s;
+}
+// drawn in screen space so outlines and handles stay crisp at any zoom
+function drawSelection() {
+  const sb = selectionBounds();
+  octx.save();
+  octx.strokeStyle = "#0ea5e9";
+  octx.setLineDash([6, 4]);
+  if (sb) {
+    const h = selectionHandles(sb);
+    const [a, z] = [toScreen({ x: sb.x0, y: sb.y0 }), toScreen({ x: sb.x1, y: sb.y1 })];
+    const b = { x0: a.x, y0: a.y, x1: z.x, y1: z.y };
+    const rot = toScreen(h.rotate), sc = toScreen(h.scale);
+    octx.strokeRect(b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0);
+    octx.setLineDash([]);
+    octx.fillStyle = "#fff";
+    octx.beginPath(); octx.moveTo((b.x0 + b.x1) / 2, b.y0); octx.lineTo(rot.x, rot.y); octx.stroke();
+    octx.beginPath(); octx.arc(rot.x, rot.y, HANDLE / 1.5, 0, Math.PI * 2); octx.fill(); octx.stroke();
+    octx.fillRect(sc.x - HANDLE / 2, sc.y - HANDLE / 2, HANDLE, HANDLE);
+    octx.strokeRect(sc.x - HANDLE / 2, sc.y - HANDLE / 2, HANDLE, HANDLE);
+  }
+  const m = state.marquee;
+  if (m) {
+    const [a, z] = [toScreen({ x: m.x0, y: m.y0 }), toScreen({ x: m.x1, y: m.y1 })];
+    const mq = { x0: a.x, y0: a.y, x1: z.x, y1: z.y };
+    octx.setLineDash([4, 4]);
+    octx.fillStyle = "rgba(14,165,233,.08)";
+    octx.fillRect(mq.x0, mq.y0, mq.x1 - mq.x0, mq.y1 - mq.y0);
+    octx.strokeRect(mq.x0, mq.y0, mq.x1 - mq.x0, mq.y1 - mq.y0);
+  }
+  octx.restore();
+}
+// strokes on hidden or locked layers can't be selected
+function selectableStrokes() {
+  const layers = layerList();
+  const editable = new Set(layers.filter(layerEditable).map((l) => l.id));
+  return ystrokes.toArray().map((item) => entryOf(item).s).filter((s) => s.tool !== "eraser" && editable.has(layerIdOf(s, layers)));
+}
+// topmost hit, honouring layer order before array order
+function topStrokeAt(p) {
+  const layers = layerList();
+  const rank = new Map(layers.map((l, i) => [l.id, i]));
+  const all = selectableStrokes()
+    .map((s, i) => ({ s, i, r: rank.get(layerIdOf(s, layers)) }))
+    .sort((a, b) => b.r - a.r || b.i - a.i);
+  return all.find(({ s }) => hitTest(s, p))?.s ?? null;
+}
+function selectPointerDown(p, additive) {
+  const b = selectionBounds();
+  if (b) {
+    const h = selectionHandles(b);
+    const pivot = { x: (b.x0 + b.x1) / 2, y: (b.y0 + b.y1) / 2 };
+    const near = (q) => Math.hypot(p.x - q.x, p.y - q.y) * view.zoom <= HANDLE;
+    if (near(h.scale)) return (state.drag = { kind: "scale", start: p, pivot, delta: { pivot } });
+    if (near(h.rotate)) return (state.drag = { kind: "rotate", start: p, pivot, delta: { pivot } });
+  }
+  const hit = topStrokeAt(p);
+  if (hit) {
+    if (additive) state.selected.has(hit.id) ? state.selected.delete(hit.id) : state.selected.add(hit.id);
+    else if (!state.selected.has(hit.id)) state.selected = new Set([hit.id]);
+    if (state.selected.size) state.drag = { kind: "move", start: p, delta: {} };
+  } else {
+    if (!additive) state.selected.clear();
+    state.marquee = { x0: p.x, y0: p.y, x1: p.x, y1: p.y, start: p };
+  }
+}
+function selectPointerMove(p) {
+  const d = state.drag;
+  if (d?.kind === "move") d.delta = { dx: p.x - d.start.x, dy: p.y - d.start.y };
+  else if (d?.kind === "scale") {
+    const r0 = Math.hypot(d.start.x - d.pivot.x, d.start.y - d.pivot.y) || 1;
+    d.delta = { pivot: d.pivot, factor: Math.max(0.05, Math.hypot(p.x - d.pivot.x, p.y - d.pivot.y) / r0) };
+  } else if (d?.kind === "rotate") {
+    const a0 = Math.atan2(d.start.y - d.pivot.y, d.start.x - d.pivot.x);
+    d.delta = { pivot: d.pivot, angle: Math.atan2(p.y - d.pivot.y, p.x - d.pivot.x) - a0 };
+  } else if (state.marquee) {
+    const a = state.marquee.start;
+    Object.assign(state.marquee, { x0: Math.min(a.x, p.x), y0: Math.min(a.y, p.y), x1: Math.max(a.x, p.x), y1: Math.max(a.y, p.y) });
+  }
+  if (d) redraw(); else drawCursorsAndPeers();
+}
+function selectPointerUp() {
+  const d = state.drag;
+  if (d) {
+    const delta = d.delta;
+    const moved = delta.dx || delta.dy || delta.angle || (delta.factor ?? 1) !== 1;
+    if (moved) transactLocal(() => selectedStrokes().forEach((s) => {
+      const m = findStroke(s.id);
+      if (!m) return;
+      Object.entries(applySimilarity(s, delta)).forEach(([k, v]) => m.set(k, v));
+    }));
+    state.drag = null;
+    redraw();
+  } else if (state.marquee) {
+    const mq = state.marquee;
+    state.marquee = null;
+    selectableStrokes().forEach((s) => {
+      const b = worldBounds(s);
+      if (b.x0 >= mq.x0 && b.x1 <= mq.x1 && b.y0 >= mq.y0 && b.y1 <= mq.y1) state.selected.add(s.id);
+    });
+    drawCursorsAndPeers();
+  }
+}
+function deleteSelection() {
+  if (!state.selected.size) return;
+  transactLocal(() => {
+    for (let i = ystrokes.length - 1; i >= 0; i--)
+      if (state.selected.has(strokeOf(ystrokes.get(i)).id)) ystrokes.delete(i, 1);
+  });
+  state.selected.clear();
+}
+// color / size inputs restyle the current selection
+function restyleSelection(patch) {
+  if (!state.selected.size || state.role === "viewer") return;
+  transactLocal(() => state.selected.forEach((id) => {
+    const m = findStroke(id);
+    if (!m) return;
+    Object.entries(patch).forEach(([k, v]) => {
+      if (k === "color" && m.get("tool") === "eraser") return;
+      if (m.get("tool") === "image") return; // images have no color or width
+      m.set(k, v);
+      if (k === "size" && m.get("tool") === "text") m.set("fontSize", Math.max(12, v * 4));
+    });
+  }));
+}
+if (deleteSelBtn) deleteSelBtn.onclick = deleteSelection;
+colorEl?.addEventListener("change", () => restyleSelection({ color: colorEl.value }));
+sizeEl?.addEventListener("change", () => restyleSelection({ size: Number(sizeEl.value) }));
+toolEl?.addEventListener("change", () => {
+  if (toolEl.value !== "select") { state.selected.clear(); drawCursorsAndPeers(); }
+  updateCursor();
+  republish();
+});
+window.addEventListener("keydown", (e) => {
+  if (e.key !== "Delete" && e.key !== "Backspace") return;
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  if (state.role === "viewer" || !state.selected.size) return;
+  e.preventDefault();
+  deleteSelection();
+});
+
+// ----- chat and comment pins -----
+// Messages and comments live in the room doc but are written through the REST API, which
+// stamps the author from the session; here we only render them and call the API.
+const PIN_R = 10;
+async function roomApi(method, path, body) {
+  const r = await fetch(`/api/rooms/${encodeURIComponent(roomId)}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: body && JSON.stringify(body)
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data.issues?.[0]?.message || data.error || "Request failed");
+  return data;
+}
+const talk = (fn) => fn().catch((err) => alert(err.message));
+const timeOf = (iso) => new Date(iso).toLocaleString();
+
+// oldest first, so pin numbers stay put as comments are added
+function commentList() {
+  return Array.from(ycomments.values(), (m) => m.toJSON()).sort((a, b) => (a.at < b.at ? -1 : 1));
+}
+const pinShown = (c) => !c.resolved || showResolvedEl?.checked || c.id === state.openComment;
+
+function drawPins() {
+  commentList().forEach((c, i) => {
+    if (!pinShown(c)) return;
+    const { x, y } = toScreen(c);
+    octx.save();
+    octx.fillStyle = c.resolved ? "#9ca3af" : "#f59e0b";
+    octx.strokeStyle = c.id === state.openComment ? "#111" : "#fff";
+    octx.lineWidth = 2;
+    octx.beginPath(); octx.arc(x, y, PIN_R, 0, Math.PI * 2); octx.fill(); octx.stroke();
+    octx.fillStyle = "#fff";
+    octx.font = "bold 11px system-ui"; octx.textAlign = "center"; octx.textBaseline = "middle";
+    octx.fillText(String(i + 1), x, y);
+    octx.restore();
+  });
+}
+// the pin under world point `p`, within the pin's on-screen radius
+function pinAt(p) {
+  const at = toScreen(p);
+  return commentList().reverse().find((c) => {
+    const s = toScreen(c);
+    return pinShown(c) && Math.hypot(s.x - at.x, s.y - at.y) <= PIN_R + 2;
+  });
+}
+
+function commentPointerDown(p) {
+  const hit = pinAt(p);
+  if (hit) return openThread(hit.id);
+  if (state.archived) return alert("This room is archived.");
+  const text = prompt("Comment");
+  if (!text?.trim()) return;
+  talk(async () => openThread((await roomApi("POST", "/comments", { x: round1(p.x), y: round1(p.y), text })).id));
+}
+function openThread(id, center = false) {
+  state.openComment = id;
+  const c = ycomments.get(id)?.toJSON();
+  if (c && center) panBy(cvs.width / dpr / 2 - toScreen(c).x, cvs.height / dpr / 2 - toScreen(c).y);
+  renderComments();
+  drawCursorsAndPeers();
+}
+
+function messageEl(m) {
+  const div = document.createElement("div");
+  div.className = "message";
+  const who = document.createElement("strong");
+  who.textContent = m.author;
+  const when = document.createElement("span");
+  when.className = "muted"; when.textContent = ` ${timeOf(m.at)}`;
+  const text = document.createElement("div");
+  text.textContent = m.text;
+  div.append(who, when, text);
+  return div;
+}
+function renderComments() {
+  if (!commentsEl) return;
+  const list = commentList();
+  commentsEl.innerHTML = "";
+  list.forEach((c, i) => {
+    if (!pinShown(c)) return;
+    const li = document.createElement("li");
+    li.className = "comment-row" + (c.id === state.openComment ? " active" : "") + (c.resolved ? " resolved" : "");
+    li.textContent = `${i + 1}. ${c.author}: ${c.text}` + (c.replies.length ? ` (${c.replies.length})` : "");
+    li.onclick = () => openThread(c.id, true);
+    commentsEl.appendChild(li);
+  });
+  if (!commentsEl.children.length) commentsEl.innerHTML = `<li class="muted small">Pick 💬 Comment and click the canvas to add one.</li>`;
+  renderThread(list);
+}
+function renderThread(list = commentList()) {
+  if (!threadEl) return;
+  const c = list.find((x) => x.id === state.openComment);
+  threadEl.hidden = !c;
+  threadEl.innerHTML = "";
+  if (!c) return;
+  const id = encodeURIComponent(c.id);
+  threadEl.append(messageEl(c), ...c.replies.map(messageEl));
+  if (c.resolved) {
+    const note = document.createElement("div");
+    note.className = "muted small"; note.textContent = `Resolved by ${c.resolvedBy || "someone"}`;
+    threadEl.appendChild(note);
+  }
+  const form = document.createElement("form");
+  form.className = "row no-m";
+  const input = document.createElement("input");
+  input.className = "input sm"; input.placeholder = "Reply…"; input.maxLength = 2000; input.disabled = state.archived;
+  form.appendChild(input);
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (text) talk(() => roomApi("POST", `/comments/${id}/replies`, { text }));
+  };
+  const actions = document.createElement("div");
+  actions.className = "row";
+  const button = (label, fn, enabled = true) => {
+    const b = document.createElement("button");
+    b.type = "button"; b.className = "btn sm"; b.textContent = label;
+    b.disabled = state.archived || !enabled;
+    b.onclick = () => talk(fn);
+    actions.appendChild(b);
   };
+  const mine = c.author === state.authedUser;
+  button(c.resolved ? "Reopen" : "Resolve", () => roomApi("PATCH", `/comments/${id}`, { resolved: !c.resolved }),
+    mine || state.role === "editor" || state.role === "owner");
+  button("Delete", async () => {
+    if (!confirm("Delete this comment and its replies?")) return;
+    await roomApi("DELETE", `/comments/${id}`);
+  }, mine || state.role === "owner");
+  const close = document.createElement("button");
+  close.type = "button"; close.className = "btn sm"; close.textContent = "Close";
+  close.onclick = () => openThread(null);
+  actions.appendChild(close);
+  threadEl.append(form, actions);
+}
+
+function renderChat() {
+  if (!chatLog) return;
+  const stick = chatLog.scrollTop + chatLog.clientHeight >= chatLog.scrollHeight - 8;
+  chatLog.innerHTML = "";
+  ychat.toArray().forEach((m) => chatLog.appendChild(messageEl(m)));
+  if (stick) chatLog.scrollTop = chatLog.scrollHeight;
 }
+chatForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const text = chatInput.value.trim();
+  if (!text) return;
+  talk(async () => {
+    await roomApi("POST", "/chat", { text });
+    chatInput.value = "";
+  });
+});
+showResolvedEl?.addEventListener("change", () => { renderComments(); drawCursorsAndPeers(); });
+ychat.observe(renderChat);
+ycomments.observeDeep(() => {
+  if (state.openComment && !ycomments.has(state.openComment)) state.openComment = null;
+  renderComments();
+  drawCursorsAndPeers();
+});
+
+// ----- pan / zoom gestures -----
+// Wheel zooms about the pointer. Space + drag, middle-button drag or two fingers pan, and two
+// fingers pinch-zoom. View-only members pan with any drag.
+const pointers = new Map(); // pointerId -> screen point, while down
+let gesture = null; // { last } for a pan, { last, dist } for a two-finger pinch
+let spaceHeld = false;
+const pinchInfo = () => {
+  const [a, b] = [...pointers.values()];
+  return { last: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, dist: Math.hypot(a.x - b.x, a.y - b.y) || 1 };
+};
+// a second finger turns a stroke in progress into a pinch, so drop the stroke
+function cancelPointerAction() {
+  if (state.drawing) { state.drawing = false; state.active = null; ensurePresence(null); }
+  if (state.selecting) { state.selecting = false; state.drag = null; state.marquee = null; }
+  redraw();
+}
+const updateCursor = () => {
+  const tool = toolEl?.value;
+  cvs.style.cursor = gesture ? "grabbing" : spaceHeld ? "grab" : tool === "comment" ? "crosshair"
+    : state.role === "viewer" || state.playback ? "grab" : tool === "select" ? "default" : "crosshair";
+};
+cvs.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  stopFollowing();
+  // trackpad pinches arrive as ctrl+wheel with small deltas
+  const step = e.deltaMode === 1 ? 0.05 : e.ctrlKey ? 0.01 : 0.002;
+  zoomAt(screenXY(e), Math.exp(-e.deltaY * step));
+}, { passive: false });
+window.addEventListener("keydown", (e) => {
+  if (e.code !== "Space" || e.target.closest?.("input, textarea, select, button, [contenteditable]")) return;
+  e.preventDefault();
+  spaceHeld = true;
+  updateCursor();
+});
+window.addEventListener("keyup", (e) => {
+  if (e.code !== "Space") return;
+  spaceHeld = false;
+  updateCursor();
+});
+// our own pans, zooms and strokes end follow mode
+[zoomInBtn, zoomOutBtn, zoomResetBtn, zoomFitBtn].forEach((b) => b?.addEventListener("click", stopFollowing));
+zoomInBtn?.addEventListener("click", () => zoomAt({ x: cvs.width / dpr / 2, y: cvs.height / dpr / 2 }, 1.25));
+zoomOutBtn?.addEventListener("click", () => zoomAt({ x: cvs.width / dpr / 2, y: cvs.height / dpr / 2 }, 0.8));
+zoomResetBtn?.addEventListener("click", () => zoomAt({ x: cvs.width / dpr / 2, y: cvs.height / dpr / 2 }, 1 / view.zoom));
+zoomFitBtn?.addEventListener("click", () => fitView(contentBounds() ?? FRAME));
 
 cvs.addEventListener("pointerdown", (e) => {
+  stopFollowing();
+  pointers.set(e.pointerId, screenXY(e));
+  cvs.setPointerCapture?.(e.pointerId);
+  if (pointers.size === 2) {
+    cancelPointerAction();
+    gesture = pinchInfo();
+    return updateCursor();
+  }
+  if (pointers.size > 2 || gesture) return;
+  // everyone, viewers included, can place and open comment pins
+  if (toolEl?.value === "comment" && !spaceHeld && e.button === 0) return commentPointerDown(getXY(e));
+  if (spaceHeld || e.button === 1 || state.role === "viewer" || state.playback) {
+    gesture = { last: screenXY(e) };
+    return updateCursor();
+  }
+  const tool = toolEl?.value || "pen";
+  const p = getXY(e);
+  if (tool !== "select" && !layerEditable(activeLayer())) {
+    if (statusEl) statusEl.textContent = `Layer "${activeLayer().name}" is hidden or locked.`;
+    return;
+  }
+  if (tool === "select") {
+    state.selecting = true;
+    selectPointerDown(p, e.shiftKey);
+    return drawCursorsAndPeers();
+  }
+  if (!roomHasSpace()) return;
+  if (tool === "text") return placeText(p);
   state.drawing = true;
-  state.active = { tool: "pen", color: colorEl.value, size: Number(sizeEl.value), points: [getXY(e)] };
+  state.anchor = p;
+  state.strokeT0 = e.timeStamp;
+  state.active = startStroke(tool, FREEHAND.has(tool) ? penPoint(e) : p, e.pointerType);
+  if (paintsDirect(state.active)) drawStroke(ctx, state.active);
+  queuePresence(p);
 });
 cvs.addEventListener("pointermove", (e) => {
+  if (pointers.has(e.pointerId)) pointers.set(e.pointerId, screenXY(e));
+  if (gesture) {
+    const next = pointers.size === 2 ? pinchInfo() : { last: screenXY(e) };
+    panBy(next.last.x - gesture.last.x, next.last.y - gesture.last.y);
+    if (gesture.dist && next.dist) zoomAt(next.last, next.dist / gesture.dist);
+    gesture = next;
+    return;
+  }
   const p = getXY(e);
-  ensurePresence(p); // update live cursor (internal units)
+  queuePresence(p); // live cursor (world units) and, while drawing, the draft
+  if (state.selecting) return selectPointerMove(p);
   if (!state.drawing) return;
-  const pts = state.active.points;
-  pts.push(p);
-  ctx.strokeStyle = state.active.color; ctx.lineWidth = state.active.size; ctx.lineCap = "round";
-  ctx.beginPath(); const n = pts.length; ctx.moveTo(pts[n - 2].x, pts[n - 2].y); ctx.lineTo(pts[n - 1].x, pts[n - 1].y); ctx.stroke();
+  const s = state.active;
+  if (!FREEHAND.has(s.tool)) { extendStroke(s, p); return drawCursorsAndPeers(); }
+  // browsers batch fast stylus input; the coalesced events carry every sample
+  const samples = e.getCoalescedEvents?.() ?? [];
+  (samples.length ? samples : [e]).forEach((ev) => extendStroke(s, penPoint(ev)));
+  if (paintsDirect(s)) {
+    // paint just the newest segments
+    const n = s.points.length;
+    drawStroke(ctx, { ...s, points: s.points.slice(Math.max(0, n - (samples.length || 1) - 1)) });
+  } else drawCursorsAndPeers();
 });
-cvs.addEventListener("pointerup", () => {
+function pointerUp(e) {
+  pointers.delete(e.pointerId);
+  if (gesture) {
+    // lifting one finger of a pinch keeps panning with the other
+    gesture = pointers.size === 1 ? { last: [...pointers.values()][0] } : pointers.size ? gesture : null;
+    return updateCursor();
+  }
+  if (state.selecting) {
+    state.selecting = false;
+    return selectPointerUp();
+  }
   if (!state.drawing) return;
   state.drawing = false;
-  ydoc.transact(() => ystrokes.push([state.active]));
+  const s = state.active;
   state.active = null;
+  if (!isEmptyStroke(s)) transactLocal(() => ystrokes.push([toYStroke(finishStroke(s))]));
   ensurePresence(null);
-});
+  drawCursorsAndPeers();
+}
+cvs.addEventListener("pointerup", pointerUp);
+cvs.addEventListener("pointercancel", pointerUp);
 cvs.addEventListener("pointerleave", () => ensurePresence(null));
 
 // ----- clear / save / load / export -----
 clearBtn.onclick = () => {
   if (!confirm("Clear canvas for everyone in this room?")) return;
-  ydoc.transact(() => ystrokes.delete(0, ystrokes.length));
+  transactLocal(() => ystrokes.delete(0, ystrokes.length));
 };
 
-function docToJSON() {
-  return {
-    title: (nameEl?.value || "Untitled"),
-    size: { w: cvs.width, h: cvs.height },  // remains 1200x720 internally
-    background: "#ffffff",
-    strokes: ystrokes.toJSON()
-  };
+// the saved page is the box around the content (or the classic 1200x720 frame when empty)
+function pageRect() {
+  const b = contentBounds();
+  return b ? { x0: Math.floor(b.x0) - 16, y0: Math.floor(b.y0) - 16, x1: Math.ceil(b.x1) + 16, y1: Math.ceil(b.y1) + 16 } : FRAME;
 }
+// the server snapshots the room's own document, so what is saved is what everyone sees
 async function saveToServer() {
-  const payload = docToJSON();
-  const res = await fetch("/api/drawings", {
+  const title = prompt("Save this room as a drawing titled:", state.roomTitle || `#${roomId}`);
+  if (title === null) return;
+  const res = await fetch(`/api/rooms/${encodeURIComponent(roomId)}/snapshot`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     credentials: "same-origin",
-    body: JSON.stringify(payload)
+    body: JSON.stringify(title.trim() ? { title: title.trim() } : {})
   });
   if (res.status === 401) return alert("Please login on the Home page to save.");
   const data = await res.json();
-  if (!res.ok) return alert(data.error || "Save failed");
-  alert("Saved id: " + data.id);
+  if (!res.ok) return alert(data.issues?.[0]?.message || data.error || "Save failed");
+  alert(`Saved “${data.title}” (id ${data.id})`);
 }
 async function listDrawings() {
   const r = await fetch("/api/drawings", { credentials: "same-origin", cache: "no-store" });
@@ -252,29 +1430,352 @@ async function loadFromServer(id) {
   const r = await fetch(`/api/drawings/${id}`, { credentials: "same-origin", cache: "no-store" });
   const drawing = await r.json();
   if (!r.ok) return alert(drawing.error || "Load failed");
-  ydoc.transact(() => {
+  transactLocal(() => {
     ystrokes.delete(0, ystrokes.length);
-    (drawing.strokes || []).forEach((s) => ystrokes.push([s]));
+    Array.from(ylayers.keys()).forEach((id) => ylayers.delete(id));
+    // drawings saved before layers existed get the implicit default layer
+    (drawing.layers || []).forEach(({ id, ...l }, order) => ylayers.set(id, toYLayer({ ...l, order })));
+    ystrokes.push((drawing.strokes || []).map(toYStroke));
   });
+  state.activeLayer = null;
   redraw();
+  fitView(contentBounds() ?? FRAME, 1);
+}
+async function forkDrawing(d) {
+  if (!confirm(`Start a new room from “${d.title}”? This room is left as it is.`)) return;
+  const r = await fetch(`/api/drawings/${d.id}/fork`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    credentials: "same-origin",
+    body: "{}"
+  });
+  const data = await r.json();
+  if (!r.ok) return alert(data.error || "Fork failed");
+  location.href = data.url;
 }
 function exportPNG() {
-  const url = cvs.toDataURL("image/png");
-  const win = window.open();
-  win.document.write(`<img src="${url}" style="max-width:100%">`);
+  // render the whole page at 1:1, then flatten onto the white background the board gets from CSS
+  const page = pageRect();
+  const flat = document.createElement("canvas");
+  flat.width = page.x1 - page.x0; flat.height = page.y1 - page.y0;
+  const fctx = flat.getContext("2d");
+  paintWorld(fctx, page, 1);
+  fctx.globalCompositeOperation = "destination-over";
+  fctx.fillStyle = "#ffffff";
+  fctx.fillRect(0, 0, flat.width, flat.height);
+  redraw(); // paintWorld resized the shared scratch canvas
+  // download the live board; saved drawings can also be fetched from /api/drawings/:id.png
+  const a = document.createElement("a");
+  a.href = flat.toDataURL("image/png");
+  a.download = `${(nameEl?.value || "drawing").trim() || "drawing"}.png`;
+  a.click();
 }
 saveBtn.onclick = saveToServer;
+
+// ----- drawing picker -----
+// Lists every drawing we can see with its thumbnail. "Load here" replaces this room's canvas
+// for everyone (undoable, and not offered to viewers); "Fork" opens the drawing in a new room.
+let pickerItems = [];
+function renderPicker() {
+  const q = (pickerSearch?.value || "").trim().toLowerCase();
+  const items = pickerItems.filter((d) => !q || d.title.toLowerCase().includes(q) || (d.owner || "").toLowerCase().includes(q));
+  pickerList.innerHTML = "";
+  if (!items.length) pickerList.innerHTML = `<p class="muted small">${pickerItems.length ? "No matches." : "No drawings saved yet."}</p>`;
+  items.forEach((d) => {
+    const card = document.createElement("div");
+    card.className = "picker-card";
+    const img = document.createElement("img");
+    img.src = d.thumbnail; img.alt = ""; img.loading = "lazy";
+    const title = document.createElement("div");
+    title.className = "room-head"; title.textContent = d.title;
+    const meta = document.createElement("div");
+    meta.className = "muted small";
+    meta.textContent = `${d.owner || "legacy"} · ${d.visibility} · ${new Date(d.updated_at).toLocaleDateString()}`;
+    const actions = document.createElement("div");
+    actions.className = "row";
+    const load = document.createElement("button");
+    load.className = "btn sm"; load.textContent = "Load here";
+    load.disabled = state.role === "viewer";
+    load.onclick = () => {
+      if (!confirm(`Replace the canvas in #${roomId} with “${d.title}” for everyone? You can undo this.`)) return;
+      pickerEl.close();
+      loadFromServer(d.id);
+    };
+    const fork = document.createElement("button");
+    fork.className = "btn sm"; fork.textContent = "Fork to new room";
+    fork.onclick = () => forkDrawing(d);
+    actions.append(load, fork);
+    card.append(img, title, meta, actions);
+    pickerList.appendChild(card);
+  });
+}
 openBtn.onclick = async () => {
-  const list = await listDrawings();
-  if (!list.length) return alert("No drawings saved yet.");
-  const pick = prompt("Enter drawing id to open:\n" + list.map((r) => `${r.id} — ${r.title}`).join("\n"));
-  if (pick) loadFromServer(pick.trim());
+  pickerItems = await listDrawings();
+  if (pickerSearch) pickerSearch.value = "";
+  renderPicker();
+  pickerEl.showModal();
+  pickerSearch?.focus();
 };
+pickerSearch?.addEventListener("input", renderPicker);
 exportBtn.onclick = exportPNG;
+// the server renders the room itself, the same way it renders saved drawings
+if (exportSvgBtn) exportSvgBtn.onclick = () => {
+  const a = document.createElement("a");
+  a.href = `/api/rooms/${encodeURIComponent(roomId)}/export.svg`;
+  a.download = `${roomId}.svg`;
+  a.click();
+};
+
+// ----- import (SVG, images) -----
+// SVG files become ordinary strokes: lines, axis-aligned rects and ellipses, and text keep
+// their shape; every other path or shape is sampled into a pen stroke. PNG and JPEG files are
+// uploaded to /api/images and placed as image strokes that point at the stored bytes.
+// Imports land centered on `at` (a world point), on the active layer, in one undo step.
+const SVG_SKIP = new Set(["defs", "mask", "clipPath", "pattern", "symbol", "marker", "style", "script", "title", "desc", "metadata"]);
+const SVG_SHAPES = new Set(["path", "line", "polyline", "polygon", "rect", "circle", "ellipse", "text"]);
+const SVG_SAMPLE = 4; // user units between sampled points, before simplifying
+const IMAGE_TYPES = new Set(["image/png", "image/jpeg"]);
+const colorProbe = document.createElement("canvas").getContext("2d");
+// any CSS color as #rrggbb (or rgba(...)); null for none / transparent / gradients
+function cssColor(v) {
+  if (!v || v === "none" || v === "transparent" || v.startsWith("url(")) return null;
+  colorProbe.fillStyle = "#000000";
+  colorProbe.fillStyle = v;
+  return colorProbe.fillStyle === "rgba(0, 0, 0, 0)" ? null : colorProbe.fillStyle;
+}
+function canImport() {
+  if (state.role === "viewer" || state.playback) return false;
+  if (layerEditable(activeLayer())) return true;
+  if (statusEl) statusEl.textContent = `Layer "${activeLayer().name}" is hidden or locked.`;
+  return false;
+}
+// place strokes built around the origin so their box is centered on `at`
+function placeImported(strokes, at) {
+  if (!strokes.length || !roomHasSpace(strokes.length)) return;
+  const boxes = strokes.map((s) => rawBounds(s));
+  const cx = (Math.min(...boxes.map((b) => b.x0)) + Math.max(...boxes.map((b) => b.x1))) / 2;
+  const cy = (Math.min(...boxes.map((b) => b.y0)) + Math.max(...boxes.map((b) => b.y1))) / 2;
+  const base = { layer: activeLayer().id, ...stamp() };
+  const placed = strokes.map((s) => ({ ...s, ...base, tx: round1(at.x - cx) || undefined, ty: round1(at.y - cy) || undefined }));
+  transactLocal(() => ystrokes.push(placed.map(toYStroke)));
+  state.selected = new Set(placed.map((s) => s.id));
+  if (toolEl) toolEl.value = "select";
+  updateCursor();
+  redraw();
+}
+// points along an element's outline, in the SVG's user units
+function sampleOutline(el, m) {
+  const len = el.getTotalLength();
+  const n = Math.max(2, Math.ceil(len / SVG_SAMPLE));
+  const runs = [[]];
+  let prev = null;
+  for (let i = 0; i <= n; i++) {
+    const p = el.getPointAtLength((len * i) / n).matrixTransform(m);
+    // a jump much longer than the step is a moveto: start a new run
+    if (prev && Math.hypot(p.x - prev.x, p.y - prev.y) > SVG_SAMPLE * 4 * Math.max(1, Math.hypot(m.a, m.b))) runs.push([]);
+    runs.at(-1).push(p);
+    prev = p;
+  }
+  return runs.filter((r) => r.length > 1);
+}
+function svgElementStrokes(el, m) {
+  const cs = getComputedStyle(el);
+  const scale = Math.hypot(m.a, m.b) || 1;
+  const stroke = cssColor(cs.stroke);
+  const fill = cssColor(cs.fill);
+  if (!stroke && !fill) return [];
+  const size = Math.min(200, Math.max(0.5, round1((parseFloat(cs.strokeWidth) || 1) * scale)));
+  const opacity = Math.min(1, Math.max(0, Number(cs.opacity) * (stroke ? Number(cs.strokeOpacity) : Number(cs.fillOpacity)))) || 1;
+  const base = { id: newId(), color: stroke || fill || "#000000", size, opacity: opacity === 1 ? undefined : opacity };
+  const tag = el.localName;
+  const axisAligned = Math.abs(m.b) < 1e-6 && Math.abs(m.c) < 1e-6 && m.a > 0 && m.d > 0;
+  if (tag === "text") {
+    const p = new DOMPoint(el.x.baseVal[0]?.value ?? 0, el.y.baseVal[0]?.value ?? 0).matrixTransform(m);
+    const fontSize = Math.max(6, round1(parseFloat(cs.fontSize) * scale));
+    const text = el.textContent.trim();
+    // SVG text sits on its baseline; ours hangs from the top of the box
+    return text ? [{ ...base, tool: "text", color: fill || stroke || "#000000", x: round1(p.x), y: round1(p.y - fontSize * 0.8), text, fontSize }] : [];
+  }
+  if (tag === "line") {
+    const a = new DOMPoint(el.x1.baseVal.value, el.y1.baseVal.value).matrixTransform(m);
+    const b = new DOMPoint(el.x2.baseVal.value, el.y2.baseVal.value).matrixTransform(m);
+    return stroke ? [{ ...base, tool: "line", x1: round1(a.x), y1: round1(a.y), x2: round1(b.x), y2: round1(b.y) }] : [];
+  }
+  if (axisAligned && (tag === "rect" || tag === "circle" || tag === "ellipse")) {
+    const bb = el.getBBox();
+    const rounded = tag === "rect" && (el.rx.baseVal.value || el.ry.baseVal.value);
+    if (!rounded) {
+      const p = new DOMPoint(bb.x, bb.y).matrixTransform(m);
+      return [{
+        ...base, tool: tag === "rect" ? "rect" : "ellipse", fill: fill ?? null,
+        size: stroke ? size : 1, color: stroke || fill,
+        x: round1(p.x), y: round1(p.y), w: round1(bb.width * m.a), h: round1(bb.height * m.d)
+      }];
+    }
+  }
+  // anything else is traced with a pen; fills are not kept
+  return sampleOutline(el, m).map((pts) => ({
+    ...base, id: newId(), tool: "pen",
+    points: simplifyPoints(pts, 0.5, size).map((p) => ({ x: round1(p.x), y: round1(p.y) }))
+  }));
+}
+function importSVG(text, at) {
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const root = doc.documentElement;
+  if (root.localName !== "svg" || doc.querySelector("parsererror")) return alert("That file is not a valid SVG.");
+  // geometry and computed styles need a rendered element, so mount it off screen for a moment
+  const svg = document.importNode(root, true);
+  svg.querySelectorAll("script").forEach((el) => el.remove());
+  svg.style.cssText = "position:fixed;left:-10000px;top:0;visibility:hidden;pointer-events:none";
+  document.body.appendChild(svg);
+  const strokes = [];
+  try {
+    const toRoot = svg.getScreenCTM().inverse();
+    const walk = (el) => {
+      for (const child of el.children) {
+        if (SVG_SKIP.has(child.localName) || getComputedStyle(child).display === "none") continue;
+        if (SVG_SHAPES.has(child.localName)) strokes.push(...svgElementStrokes(child, toRoot.multiply(child.getScreenCTM())));
+        else walk(child);
+      }
+    };
+    walk(svg);
+  } finally {
+    svg.remove();
+  }
+  if (!strokes.length) return alert("Nothing in that SVG could be imported.");
+  placeImported(strokes, at);
+}
+async function importImage(file, at) {
+  if (!IMAGE_TYPES.has(file.type)) return alert("Only PNG and JPEG images can be placed on the canvas.");
+  const bitmap = await createImageBitmap(file).catch(() => null);
+  if (!bitmap) return alert("That image could not be read.");
+  const { width, height } = bitmap;
+  bitmap.close();
+  const res = await fetch("/api/images", { method: "POST", headers: { "Content-Type": file.type }, credentials: "same-origin", body: file });
+  if (res.status === 401) return alert("Please login on the Home page to add images.");
+  const data = await res.json();
+  if (!res.ok) return alert(data.error || "Upload failed");
+  // at most 60% of the view, never enlarged
+  const r = visibleRect();
+  const k = Math.min(1, ((r.x1 - r.x0) * 0.6) / width, ((r.y1 - r.y0) * 0.6) / height);
+  placeImported([{ id: newId(), tool: "image", x: 0, y: 0, w: round1(width * k) || 1, h: round1(height * k) || 1, src: data.url }], at);
+}
+function importFiles(files, at) {
+  if (!canImport()) return;
+  [...files].forEach(async (file) => {
+    if (file.type === "image/svg+xml" || file.name.toLowerCase().endsWith(".svg")) importSVG(await file.text(), at);
+    else importImage(file, at);
+  });
+}
+const viewCenter = () => {
+  const r = visibleRect();
+  return { x: (r.x0 + r.x1) / 2, y: (r.y0 + r.y1) / 2 };
+};
+if (importBtn) importBtn.onclick = () => canImport() && importFile?.click();
+importFile?.addEventListener("change", () => {
+  importFiles(importFile.files, viewCenter());
+  importFile.value = "";
+});
+const canvasWrap = cvs.parentElement;
+canvasWrap.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer?.types.includes("Files")) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = state.role === "viewer" ? "none" : "copy";
+});
+canvasWrap.addEventListener("drop", (e) => {
+  if (!e.dataTransfer?.files.length) return;
+  e.preventDefault();
+  importFiles(e.dataTransfer.files, getXY(e));
+});
+// pasted image files, or SVG markup pasted as text
+window.addEventListener("paste", (e) => {
+  if (e.target.closest?.("input, textarea, [contenteditable]")) return;
+  const files = [...(e.clipboardData?.files || [])];
+  const text = e.clipboardData?.getData("text/plain")?.trim() || "";
+  if (!files.length && !/^(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(text)) return;
+  e.preventDefault();
+  if (files.length) importFiles(files, viewCenter());
+  else if (canImport()) importSVG(text, viewCenter());
+});
+// an image stroke painted as a placeholder before its bytes arrived
+onImageLoad(() => { tiles.reset(); redraw(); });
+
+// ----- playback -----
+// Replays the room as it is now, stroke by stroke in the order they were drawn (see
+// strokeTimeline). Strokes keep their stacking order, so the last frame matches the board.
+// Drawing is paused meanwhile; pan, zoom and peers' updates keep working.
+const fmtTime = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, "0")}`;
+function openPlayback() {
+  cancelPointerAction();
+  state.selected.clear();
+  const items = ystrokes.toArray();
+  const entries = strokeTimeline(items.map(strokeOf)).map((e) => ({ ...e, ...entryOf(items[e.index]) }));
+  const last = entries.at(-1);
+  state.playback = { entries, total: last ? last.offset + last.duration : 0, time: 0, speed: Number(speedEl?.value || 1), playing: false, frame: 0 };
+  scrubEl.max = String(state.playback.total);
+  playbackEl.hidden = false;
+  updateCursor();
+  setPlaying(true);
+}
+function closePlayback() {
+  if (!state.playback) return;
+  setPlaying(false);
+  state.playback = null;
+  playbackEl.hidden = true;
+  updateCursor();
+  redraw();
+}
+function paintPlayback(c, rect, k) {
+  const { entries, time } = state.playback;
+  const shown = [];
+  for (const e of entries) {
+    if (e.offset > time) break;
+    shown.push({ index: e.index, s: strokeAt(e.s, time - e.offset), b: e.b });
+  }
+  paintStrokes(c, rect, k, shown.sort((a, b) => a.index - b.index));
+}
+function updatePlaybackUI() {
+  const pb = state.playback;
+  scrubEl.value = String(pb.time);
+  playPauseBtn.textContent = pb.playing ? "⏸" : "⏵";
+  const current = pb.entries.findLast((e) => e.offset <= pb.time);
+  const who = current ? ` · ${current.author || "unknown"}${current.at ? `, ${new Date(current.at).toLocaleString()}` : ""}` : "";
+  playbackLabel.textContent = `${fmtTime(pb.time)} / ${fmtTime(pb.total)}${who}`;
+}
+function setPlaying(on) {
+  const pb = state.playback;
+  cancelAnimationFrame(pb.frame);
+  pb.playing = on;
+  if (on && pb.time >= pb.total) pb.time = 0;
+  if (on) {
+    let last = performance.now();
+    const tick = (now) => {
+      pb.time = Math.min(pb.total, pb.time + (now - last) * pb.speed);
+      last = now;
+      if (pb.time >= pb.total) pb.playing = false;
+      else pb.frame = requestAnimationFrame(tick);
+      updatePlaybackUI();
+      redraw();
+    };
+    pb.frame = requestAnimationFrame(tick);
+  }
+  updatePlaybackUI();
+  redraw();
+}
+replayBtn?.addEventListener("click", () => (state.playback ? closePlayback() : openPlayback()));
+closePlaybackBtn?.addEventListener("click", closePlayback);
+playPauseBtn?.addEventListener("click", () => setPlaying(!state.playback.playing));
+scrubEl?.addEventListener("input", () => {
+  state.playback.time = Number(scrubEl.value);
+  updatePlaybackUI();
+  redraw();
+});
+speedEl?.addEventListener("change", () => { if (state.playback) state.playback.speed = Number(speedEl.value); });
 
 // ----- global rooms monitor -----
 async function refreshRooms() {
-  const r = await fetch("/api/rooms", { credentials: "same-origin", cache: "no-store" });
+  const r = await fetch("/api/rooms", { credentials: "same-origin", cache: "no-store" }).catch(() => null);
+  if (!r?.ok) return; // offline or signed out
   const rooms = await r.json().catch(() => []);
   if (!roomsMonitor) return;
   roomsMonitor.innerHTML = "";
@@ -298,9 +1799,86 @@ async function refreshRooms() {
   });
 }
 
+// ----- offline -----
+// The room doc is mirrored into IndexedDB (one database per user and room), so strokes survive
+// a refresh or a dropped connection: the local copy is drawn before the socket connects, and
+// edits made while offline merge into the server's doc in the sync that follows every
+// reconnect. sw.js caches the page and scripts so a room visited before also opens offline.
+// Until a sync succeeds, the status area counts the local changes the server hasn't seen.
+let persistence = null;
+const localName = () => `dkin-room:${state.authedUser}:${roomId}`;
+const localMeta = {
+  get: () => JSON.parse(localStorage.getItem(localName()) || "{}"),
+  set: (patch) => localStorage.setItem(localName(), JSON.stringify({ ...localMeta.get(), ...patch }))
+};
+const deleteDatabase = (name) => new Promise((resolve) => {
+  const req = indexedDB.deleteDatabase(name);
+  req.onsuccess = req.onerror = req.onblocked = resolve;
+});
+async function openLocalCopy() {
+  if (!window.indexedDB || !state.authedUser) return;
+  // a room deleted and re-created under the same name starts without our old strokes
+  const meta = localMeta.get();
+  if (meta.createdAt && state.createdAt && meta.createdAt !== state.createdAt) {
+    await deleteDatabase(localName());
+    localStorage.removeItem(localName());
+  }
+  if (state.createdAt) localMeta.set({ createdAt: state.createdAt });
+  state.pending = localMeta.get().pending || 0;
+  persistence = new IndexeddbPersistence(localName(), ydoc);
+  await persistence.whenSynced;
+  renderConnection();
+}
+function forgetLocalCopy() {
+  persistence?.clearData();
+  persistence = null;
+  localStorage.removeItem(localName());
+  state.pending = 0;
+}
+function renderConnection() {
+  if (!statusEl) return;
+  if (state.stopped) {
+    statusEl.classList.remove("pending");
+    statusEl.textContent = state.stopped;
+    return;
+  }
+  const n = state.pending;
+  const changes = `${n} change${n === 1 ? "" : "s"}`;
+  statusEl.classList.toggle("pending", n > 0);
+  if (!n) statusEl.textContent = `connection: ${state.connection}`;
+  else if (state.connection === "connected") statusEl.textContent = `connected · syncing ${changes}…`;
+  else statusEl.textContent = `offline · ${changes} saved on this device, not yet synced`;
+}
+// our own edits made while the server can't see them
+ydoc.on("update", (_update, origin) => {
+  if (origin === provider || origin === persistence || (provider.wsconnected && provider.synced)) return;
+  state.pending += 1;
+  if (persistence) localMeta.set({ pending: state.pending });
+  renderConnection();
+});
+// the server's sync step 2 arrives after its step 1, which we answer with everything it lacks,
+// so by now our offline changes have gone out on the socket
+provider.on("sync", (synced) => {
+  if (!synced || !state.pending) return;
+  state.pending = 0;
+  if (persistence) localMeta.set({ pending: 0 });
+  renderConnection();
+});
+if ("serviceWorker" in navigator) navigator.serviceWorker.register("/sw.js").catch(() => {});
+
 // ----- init -----
 (async function init() {
+  resizeCanvases();
+  fitView(FRAME, 1);
   await refreshAuthUI();
+  renderLayersPanel();
+  renderComments();
+  renderChat();
+  await redeemInvite();
+  if (await refreshRoomAccess()) {
+    await openLocalCopy();
+    provider.connect();
+  }
   redraw();
   ensurePresence();
   drawCursorsAndPeers();
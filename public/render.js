@@ -0,0 +1,415 @@
+// public/render.js — stroke geometry, painting and the tile cache (used by app.js, bench.html and,
+// for geometry and pen curves, the server's SVG renderer)
+
+// ----- geometry -----
+export const TEXT_CHAR_WIDTH = 0.6; // em
+// half the (widest) line width
+const strokePad = (s) => (s.tool === "pen" && hasPressure(s) ? pressureWidth(s.size, 1) : s.size || 0) / 2;
+// untransformed bounding box, including the line width
+export function rawBounds(s) {
+  const pad = strokePad(s);
+  let x0, y0, x1, y1;
+  switch (s.tool) {
+    case "pen":
+    case "eraser":
+      x0 = Math.min(...s.points.map((p) => p.x)); x1 = Math.max(...s.points.map((p) => p.x));
+      y0 = Math.min(...s.points.map((p) => p.y)); y1 = Math.max(...s.points.map((p) => p.y));
+      break;
+    case "line":
+    case "arrow":
+      x0 = Math.min(s.x1, s.x2); x1 = Math.max(s.x1, s.x2);
+      y0 = Math.min(s.y1, s.y2); y1 = Math.max(s.y1, s.y2);
+      break;
+    case "text": {
+      // estimated, not measured: fonts differ between machines, and every peer (and the
+      // server renderer) must agree on the box because it is the rotation/scale pivot
+      const lines = String(s.text).split("\n");
+      x0 = s.x; y0 = s.y;
+      x1 = s.x + Math.max(...lines.map((l) => l.length)) * s.fontSize * TEXT_CHAR_WIDTH;
+      y1 = s.y + lines.length * s.fontSize * 1.2;
+      return { x0, y0, x1, y1 };
+    }
+    default:
+      x0 = s.x; y0 = s.y; x1 = s.x + s.w; y1 = s.y + s.h;
+  }
+  return { x0: x0 - pad, y0: y0 - pad, x1: x1 + pad, y1: y1 + pad };
+}
+// translate(tx,ty) · rotate/scale about the stroke's own center; null when untransformed
+export function strokeMatrix(s) {
+  if (!s.tx && !s.ty && !s.rot && (s.scale ?? 1) === 1) return null;
+  const b = rawBounds(s);
+  const cx = (b.x0 + b.x1) / 2, cy = (b.y0 + b.y1) / 2;
+  return new DOMMatrix()
+    .translate((s.tx || 0) + cx, (s.ty || 0) + cy)
+    .rotate(((s.rot || 0) * 180) / Math.PI)
+    .scale(s.scale ?? 1)
+    .translate(-cx, -cy);
+}
+// axis-aligned box around the transformed stroke (or around box `b` in the stroke's space);
+// the same transform as strokeMatrix, spelled out so it also runs on the server (no DOMMatrix)
+export function worldBounds(s, b = rawBounds(s)) {
+  if (!s.tx && !s.ty && !s.rot && (s.scale ?? 1) === 1) return b;
+  const r = rawBounds(s);
+  const cx = (r.x0 + r.x1) / 2, cy = (r.y0 + r.y1) / 2;
+  const k = s.scale ?? 1, cos = Math.cos(s.rot || 0) * k, sin = Math.sin(s.rot || 0) * k;
+  const pts = [[b.x0, b.y0], [b.x1, b.y0], [b.x0, b.y1], [b.x1, b.y1]].map(([x, y]) => ({
+    x: (s.tx || 0) + cx + cos * (x - cx) - sin * (y - cy),
+    y: (s.ty || 0) + cy + sin * (x - cx) + cos * (y - cy)
+  }));
+  return {
+    x0: Math.min(...pts.map((p) => p.x)), y0: Math.min(...pts.map((p) => p.y)),
+    x1: Math.max(...pts.map((p) => p.x)), y1: Math.max(...pts.map((p) => p.y))
+  };
+}
+// everything painting the stroke may touch: real glyphs can be wider than the text estimate,
+// and a curve can bulge a little past its points
+export function paintBounds(s) {
+  const b = rawBounds(s);
+  if (s.tool === "text") return worldBounds(s, { ...b, x1: b.x0 + (b.x1 - b.x0) * 2 });
+  if (s.tool !== "pen" && s.tool !== "eraser") return worldBounds(s);
+  const pad = strokePad(s);
+  const pts = sampleCurve(s.points);
+  return worldBounds(s, {
+    x0: Math.min(...pts.map((p) => p.x)) - pad, y0: Math.min(...pts.map((p) => p.y)) - pad,
+    x1: Math.max(...pts.map((p) => p.x)) + pad, y1: Math.max(...pts.map((p) => p.y)) + pad
+  });
+}
+export function distToSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const t = dx || dy ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+export const intersects = (a, b) => a.x0 <= b.x1 && a.x1 >= b.x0 && a.y0 <= b.y1 && a.y1 >= b.y0;
+
+// ----- pen curves -----
+// Pens and erasers are drawn as Catmull-Rom curves through their points, so a stroke stays
+// smooth after simplifyPoints() has thinned it. A point may carry stylus pressure `p` (0..1);
+// pens with pressure are filled as an outline whose width follows it.
+export const pressureWidth = (size, p) => size * (0.3 + 1.4 * Math.min(1, Math.max(0, p)));
+export const hasPressure = (s) => s.points.some((pt) => pt.p !== undefined);
+
+// cubic bezier segments [c1, c2, to] from each point to the next
+export function curveSegments(pts) {
+  const segs = [];
+  for (let i = 0; i < pts.length - 1; i++) {
+    const p0 = pts[i - 1] ?? pts[i], p1 = pts[i], p2 = pts[i + 1], p3 = pts[i + 2] ?? p2;
+    segs.push([
+      { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+      { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+      p2
+    ]);
+  }
+  return segs;
+}
+// points along the curve, `per` per segment, with pressure interpolated
+export function sampleCurve(pts, per = 6) {
+  const out = [pts[0]];
+  curveSegments(pts).forEach(([c1, c2, to], i) => {
+    const from = pts[i];
+    for (let k = 1; k <= per; k++) {
+      const t = k / per, u = 1 - t;
+      const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+      out.push({
+        x: a * from.x + b * c1.x + c * c2.x + d * to.x,
+        y: a * from.y + b * c1.y + c * c2.y + d * to.y,
+        p: (from.p ?? 0.5) * u + (to.p ?? 0.5) * t
+      });
+    }
+  });
+  return out;
+}
+// closed polygon around a pressure stroke: left edge forward, round end, right edge back, round start
+export function pressureOutline(s) {
+  const pts = sampleCurve(s.points).filter((p, i, a) => !i || p.x !== a[i - 1].x || p.y !== a[i - 1].y);
+  const radius = (pt) => pressureWidth(s.size, pt.p ?? 0.5) / 2;
+  // half circle around `c` starting at angle `from`, turning clockwise
+  const cap = (c, r, from) => Array.from({ length: 7 }, (_, k) => {
+    const a = from - (Math.PI * (k + 1)) / 8;
+    return { x: c.x + r * Math.cos(a), y: c.y + r * Math.sin(a) };
+  });
+  if (pts.length === 1) return [...cap(pts[0], radius(pts[0]), 0), ...cap(pts[0], radius(pts[0]), Math.PI)];
+  const left = [], right = [], normals = [];
+  pts.forEach((pt, i) => {
+    const a = pts[Math.max(0, i - 1)], b = pts[Math.min(pts.length - 1, i + 1)];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const n = { x: -(b.y - a.y) / len, y: (b.x - a.x) / len };
+    const r = radius(pt);
+    normals.push(n);
+    left.push({ x: pt.x + n.x * r, y: pt.y + n.y * r });
+    right.push({ x: pt.x - n.x * r, y: pt.y - n.y * r });
+  });
+  const angle = (n) => Math.atan2(n.y, n.x);
+  const first = pts[0], last = pts.at(-1);
+  return [
+    ...left,
+    ...cap(last, radius(last), angle(normals.at(-1))),
+    ...right.reverse(),
+    ...cap(first, radius(first), angle(normals[0]) + Math.PI)
+  ];
+}
+// Ramer–Douglas–Peucker: drop points closer than `tolerance` to the line between the points
+// kept around them. A change in pressure counts as distance too, scaled by the stroke width.
+export function simplifyPoints(pts, tolerance, size = 1) {
+  if (pts.length < 3 || !(tolerance > 0)) return pts;
+  const keep = new Uint8Array(pts.length);
+  keep[0] = keep[pts.length - 1] = 1;
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [i0, i1] = stack.pop();
+    const a = pts[i0], b = pts[i1];
+    const dx = b.x - a.x, dy = b.y - a.y, len2 = dx * dx + dy * dy;
+    let worst = 0, at = -1;
+    for (let i = i0 + 1; i < i1; i++) {
+      const q = pts[i];
+      const t = len2 ? Math.max(0, Math.min(1, ((q.x - a.x) * dx + (q.y - a.y) * dy) / len2)) : 0;
+      const dp = q.p === undefined ? 0 : (q.p - ((a.p ?? q.p) + ((b.p ?? q.p) - (a.p ?? q.p)) * t)) * size * 0.7;
+      const d = Math.hypot(q.x - (a.x + t * dx), q.y - (a.y + t * dy), dp);
+      if (d > worst) { worst = d; at = i; }
+    }
+    if (worst > tolerance) {
+      keep[at] = 1;
+      stack.push([i0, at], [at, i1]);
+    }
+  }
+  return pts.filter((_, i) => keep[i]);
+}
+
+// ----- painting -----
+// Shared by redraw, live previews and every collaborator, so all peers paint the same pixels.
+// The board stays transparent (its white comes from CSS) so the eraser can cut real holes.
+function drawArrowHead(c, s) {
+  const angle = Math.atan2(s.y2 - s.y1, s.x2 - s.x1);
+  const len = Math.max(10, s.size * 3);
+  c.beginPath();
+  c.moveTo(s.x2, s.y2);
+  c.lineTo(s.x2 - len * Math.cos(angle - Math.PI / 7), s.y2 - len * Math.sin(angle - Math.PI / 7));
+  c.lineTo(s.x2 - len * Math.cos(angle + Math.PI / 7), s.y2 - len * Math.sin(angle + Math.PI / 7));
+  c.closePath();
+  c.fill();
+}
+
+// image strokes draw from a per-page cache; until the bytes arrive they show as a grey box,
+// and the callbacks registered with onImageLoad (the app's tile reset) run once they land
+const images = new Map(); // src -> HTMLImageElement
+const imageListeners = new Set();
+export const onImageLoad = (fn) => imageListeners.add(fn);
+function loadedImage(src) {
+  if (typeof Image === "undefined") return null;
+  let img = images.get(src);
+  if (!img) {
+    img = new Image();
+    img.onload = () => imageListeners.forEach((fn) => fn(src));
+    img.src = src;
+    images.set(src, img);
+  }
+  return img.complete && img.naturalWidth ? img : null;
+}
+
+export function drawStroke(c, s) {
+  c.save();
+  const m = strokeMatrix(s);
+  if (m) c.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+  c.globalAlpha = s.opacity ?? 1;
+  c.strokeStyle = s.color;
+  c.fillStyle = s.color;
+  c.lineWidth = s.size;
+  c.lineCap = "round";
+  c.lineJoin = "round";
+  switch (s.tool) {
+    case "eraser":
+      c.globalCompositeOperation = "destination-out";
+      c.globalAlpha = 1;
+      c.strokeStyle = "#000";
+    // falls through
+    case "pen":
+      c.beginPath();
+      if (s.tool === "pen" && hasPressure(s)) {
+        pressureOutline(s).forEach((p, i) => (i ? c.lineTo(p.x, p.y) : c.moveTo(p.x, p.y)));
+        c.closePath();
+        c.fill();
+        break;
+      }
+      c.moveTo(s.points[0].x, s.points[0].y);
+      if (s.points.length === 1) c.lineTo(s.points[0].x + 0.01, s.points[0].y); // a dot
+      curveSegments(s.points).forEach(([c1, c2, to]) => c.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, to.x, to.y));
+      c.stroke();
+      break;
+    case "line":
+    case "arrow":
+      c.beginPath();
+      c.moveTo(s.x1, s.y1);
+      c.lineTo(s.x2, s.y2);
+      c.stroke();
+      if (s.tool === "arrow") drawArrowHead(c, s);
+      break;
+    case "rect":
+    case "ellipse":
+      c.beginPath();
+      if (s.tool === "rect") c.rect(s.x, s.y, s.w, s.h);
+      else c.ellipse(s.x + s.w / 2, s.y + s.h / 2, s.w / 2, s.h / 2, 0, 0, Math.PI * 2);
+      if (s.fill) { c.fillStyle = s.fill; c.fill(); }
+      c.stroke();
+      break;
+    case "text":
+      c.font = `${s.fontSize}px sans-serif`;
+      c.textBaseline = "top";
+      String(s.text).split("\n").forEach((line, i) => c.fillText(line, s.x, s.y + i * s.fontSize * 1.2));
+      break;
+    case "image": {
+      const img = loadedImage(s.src);
+      if (img) c.drawImage(img, s.x, s.y, s.w, s.h);
+      else { c.fillStyle = "#e5e7eb"; c.fillRect(s.x, s.y, s.w, s.h); }
+      break;
+    }
+  }
+  c.restore();
+}
+
+// ----- playback -----
+// Strokes carry `author` and `at` (ISO time the stroke started); pen points carry `t`, ms since
+// that start. The timeline plays strokes in the order they were started, each at the speed it
+// was drawn. Idle gaps are capped at PLAYBACK_MAX_GAP, and strokes drawn before stamping
+// existed keep their place in the array, a fixed gap apart, with points at a steady pace.
+export const PLAYBACK_MAX_GAP = 1500; // ms
+const UNSTAMPED_GAP = 250; // ms
+const UNSTAMPED_POINT = 16; // ms per point
+const pointTime = (pt, i) => pt.t ?? i * UNSTAMPED_POINT;
+export function strokeTimeline(strokes) {
+  let last = -Infinity;
+  const stamped = strokes.map((s, index) => {
+    const at = s.at ? Date.parse(s.at) : NaN;
+    if (Number.isFinite(at)) last = at;
+    return { index, s, time: Number.isFinite(at) ? at : last, real: Number.isFinite(at) };
+  });
+  stamped.sort((a, b) => a.time - b.time); // stable, so unstamped strokes stay put
+  let offset = 0;
+  let prevEnd = null; // real time the previous stroke ended
+  return stamped.map(({ index, s, time, real }, i) => {
+    const duration = s.points?.length ? pointTime(s.points.at(-1), s.points.length - 1) : 0;
+    if (i > 0) offset += real && prevEnd !== null ? Math.min(PLAYBACK_MAX_GAP, Math.max(0, time - prevEnd)) : UNSTAMPED_GAP;
+    const entry = { index, author: s.author ?? null, at: s.at ?? null, offset, duration };
+    offset += duration;
+    prevEnd = real ? time + duration : null;
+    return entry;
+  });
+}
+// the part of stroke `s` drawn `elapsed` ms after it started (the whole stroke once it is done)
+export function strokeAt(s, elapsed) {
+  if (!s.points || elapsed >= pointTime(s.points.at(-1), s.points.length - 1)) return s;
+  return { ...s, points: s.points.filter((pt, i) => pointTime(pt, i) <= elapsed) };
+}
+
+// ----- tile cache -----
+// Finished strokes are kept per layer in square bitmap tiles painted at one scale (device
+// pixels per world unit). Panning only re-composites cached tiles, and a stroke appended to the
+// end paints into the tiles it touches. Anything else calls reset() or invalidate(), and the
+// affected tiles are repainted lazily, from strokes(), the next time they are on screen.
+// While the scale changes (zooming) the old tiles are stretched, and repainted once it settles.
+export const TILE_SIZE = 256; // device pixels
+export function createTileCache({ strokes, onSettle = () => {}, maxTiles = 512, settleMs = 150 }) {
+  let k = 0; // scale the tiles were painted at
+  let pendingK = 0;
+  let settleTimer = null;
+  let index = null; // layer id -> [{ s, b }] in paint order; null until next needed
+  const tiles = new Map(); // "layer|i|j" -> { layer, i, j, canvas } (canvas is null when empty)
+
+  // strokes() yields { s, b, layer } for every stroke, bottom → top
+  function layerIndex() {
+    if (!index) {
+      index = new Map();
+      for (const e of strokes()) {
+        if (!index.has(e.layer)) index.set(e.layer, []);
+        index.get(e.layer).push(e);
+      }
+    }
+    return index;
+  }
+  function tileRect(i, j) {
+    const t = TILE_SIZE / k;
+    return { x0: i * t, y0: j * t, x1: (i + 1) * t, y1: (j + 1) * t };
+  }
+  function paintTile(layer, i, j) {
+    const r = tileRect(i, j);
+    const list = (layerIndex().get(layer) || []).filter((e) => intersects(e.b, r));
+    if (!list.length) return null;
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = TILE_SIZE;
+    const c = canvas.getContext("2d");
+    c.setTransform(k, 0, 0, k, -r.x0 * k, -r.y0 * k);
+    list.forEach((e) => drawStroke(c, e.s));
+    return canvas;
+  }
+
+  // paint the visible `rect` (world units) of `layers` onto `c` at `scale`; c is in device pixels
+  function draw(c, rect, scale, layers) {
+    if (scale !== k && tiles.size && k) {
+      // mid-zoom: stretch what we have, repaint once the scale stops changing
+      pendingK = scale;
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => { k = pendingK; tiles.clear(); onSettle(); }, settleMs);
+      const f = scale / k;
+      layers.forEach((l) => {
+        if (!l.visible) return;
+        c.globalAlpha = l.opacity;
+        tiles.forEach((t) => {
+          if (t.layer !== l.id || !t.canvas) return;
+          const r = tileRect(t.i, t.j);
+          c.drawImage(t.canvas, (r.x0 - rect.x0) * scale, (r.y0 - rect.y0) * scale, TILE_SIZE * f, TILE_SIZE * f);
+        });
+      });
+      c.globalAlpha = 1;
+      return;
+    }
+    if (scale !== k) { k = scale; tiles.clear(); }
+    const t = TILE_SIZE / k;
+    const i0 = Math.floor(rect.x0 / t), i1 = Math.floor(rect.x1 / t);
+    const j0 = Math.floor(rect.y0 / t), j1 = Math.floor(rect.y1 / t);
+    // every tile shares the same rounded offset, so neighbours meet without seams
+    const ox = Math.round(-rect.x0 * k), oy = Math.round(-rect.y0 * k);
+    const shown = new Set();
+    layers.forEach((l) => {
+      if (!l.visible) return;
+      c.globalAlpha = l.opacity;
+      for (let i = i0; i <= i1; i++)
+        for (let j = j0; j <= j1; j++) {
+          const key = `${l.id}|${i}|${j}`;
+          if (!tiles.has(key)) tiles.set(key, { layer: l.id, i, j, canvas: paintTile(l.id, i, j) });
+          shown.add(key);
+          const { canvas } = tiles.get(key);
+          if (canvas) c.drawImage(canvas, ox + i * TILE_SIZE, oy + j * TILE_SIZE);
+        }
+    });
+    c.globalAlpha = 1;
+    if (tiles.size > maxTiles) tiles.forEach((_, key) => { if (!shown.has(key)) tiles.delete(key); });
+  }
+
+  // entries: [{ s, b, layer }] just pushed to the end of the stroke list
+  function append(entries) {
+    if (!index) return; // the next rebuild picks them up
+    entries.forEach((e) => {
+      if (!index.has(e.layer)) index.set(e.layer, []);
+      index.get(e.layer).push(e);
+      tiles.forEach((t, key) => {
+        if (t.layer !== e.layer || !intersects(e.b, tileRect(t.i, t.j))) return;
+        if (!t.canvas) return tiles.delete(key); // was empty: paint it fresh when shown
+        const c = t.canvas.getContext("2d");
+        const r = tileRect(t.i, t.j);
+        c.setTransform(k, 0, 0, k, -r.x0 * k, -r.y0 * k);
+        drawStroke(c, e.s);
+      });
+    });
+  }
+  // a stroke changed in place: drop the tiles under its old and new boxes (on every layer)
+  function invalidate(rects) {
+    index = null;
+    tiles.forEach((t, key) => {
+      const r = tileRect(t.i, t.j);
+      if (rects.some((b) => intersects(b, r))) tiles.delete(key);
+    });
+  }
+  function reset() {
+    index = null;
+    tiles.clear();
+  }
+  return { draw, append, invalidate, reset, get size() { return tiles.size; } };
+}
@@ -0,0 +1,76 @@
+// public/sw.js — lets a room visited before open (and take strokes) offline. The room page, its
+// scripts and the two answers it boots from (/auth/me and the room's /access) are fetched
+// network-first and the last good copy is kept here; uploaded images never change, so they are
+// served cache-first. The room's content itself comes from IndexedDB (see app.js).
+const CACHE = "dkin-offline-v1";
+const SHELL = ["/app.js", "/render.js", "/styles.css"];
+const ROOM_PAGE = "/room/"; // every /room/:id is the same page, so one copy serves them all
+
+const cacheKey = (url) => (url.pathname.startsWith("/room/") ? ROOM_PAGE : url.pathname);
+function networkFirstKind(url) {
+  if (url.origin !== location.origin) return false;
+  return SHELL.includes(url.pathname) || url.pathname.startsWith("/vendor/") || url.pathname.startsWith("/room/") ||
+    url.pathname === "/auth/me" || /^\/api\/rooms\/[^/]+\/access$/.test(url.pathname);
+}
+const isImage = (url) => url.origin === location.origin && url.pathname.startsWith("/api/images/");
+
+// precache the shell and vendored libraries, plus the room page that registered us
+self.addEventListener("install", (e) => {
+  e.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const { files } = await (await fetch("/vendor/manifest.json")).json();
+    await cache.addAll([...SHELL, ...files]);
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const room = windows.find((c) => new URL(c.url).pathname.startsWith("/room/"));
+    if (room) {
+      const res = await fetch(new URL(room.url).pathname).catch(() => null);
+      if (res?.ok && !res.redirected) await cache.put(ROOM_PAGE, res);
+    }
+    await self.skipWaiting();
+  })());
+});
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(req, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok && !res.redirected) await cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    return (await cache.match(key)) ?? Response.error();
+  }
+}
+async function cacheFirst(req) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) await cache.put(req, res.clone());
+  return res;
+}
+// after logging out, offline boots must not find the old session's answers
+async function logout(req) {
+  const res = await fetch(req);
+  const cache = await caches.open(CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.filter((k) => {
+    const path = new URL(k.url).pathname;
+    return path === "/auth/me" || path.startsWith("/api/");
+  }).map((k) => cache.delete(k)));
+  return res;
+}
+
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method === "POST" && url.pathname === "/auth/logout") return e.respondWith(logout(e.request));
+  if (e.request.method !== "GET") return;
+  if (isImage(url)) return e.respondWith(cacheFirst(e.request));
+  if (networkFirstKind(url)) e.respondWith(networkFirst(e.request, cacheKey(url)));
+});
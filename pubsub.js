@@ -0,0 +1,297 @@
+// pubsub.js — message fan-out between server processes (used by server.js for shared rooms)
+//
+// An adapter delivers binary messages published on a channel to every subscriber of that
+// channel, the publisher included:
+//   subscribe(channel, onMessage) -> Promise, resolved once messages will arrive
+//   unsubscribe(channel)
+//   publish(channel, Uint8Array)
+//   onReconnect(fn)   fn runs after a lost broker connection is back (messages may be missed)
+//   ready()           false while messages can't get through
+//   close()
+// createLocalPubSub() keeps it in one process. createRedisPubSub(url) speaks the Redis
+// protocol (PUBLISH / SUBSCRIBE) to Redis or anything compatible, such as the stand-in broker
+// at the bottom of this file: `node pubsub.js broker [port]`.
+import { EventEmitter } from "node:events";
+import net from "node:net";
+import { fileURLToPath } from "node:url";
+
+// ----- in-process -----
+// Instances sharing a `bus` see each other's messages, so several servers in one process (or
+// tests) can be wired together; the default bus is private to this adapter.
+export function createLocalPubSub(bus = new EventEmitter()) {
+  const handlers = new Map(); // channel -> listener
+  bus.setMaxListeners(0);
+  return {
+    async subscribe(channel, onMessage) {
+      if (handlers.has(channel)) bus.off(channel, handlers.get(channel));
+      const listener = (msg) => onMessage(msg);
+      handlers.set(channel, listener);
+      bus.on(channel, listener);
+    },
+    unsubscribe(channel) {
+      bus.off(channel, handlers.get(channel) ?? (() => {}));
+      handlers.delete(channel);
+    },
+    // delivered on a later tick, like a broker would
+    publish(channel, data) {
+      const copy = Uint8Array.from(data);
+      setImmediate(() => bus.emit(channel, copy));
+    },
+    onReconnect() {},
+    ready: () => true,
+    close() {
+      for (const [channel, listener] of handlers) bus.off(channel, listener);
+      handlers.clear();
+    }
+  };
+}
+
+// ----- Redis protocol (RESP) -----
+const CRLF = "\r\n";
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}${CRLF}`)];
+  for (const a of args) {
+    const b = Buffer.isBuffer(a) || a instanceof Uint8Array ? Buffer.from(a) : Buffer.from(String(a));
+    parts.push(Buffer.from(`$${b.length}${CRLF}`), b, Buffer.from(CRLF));
+  }
+  return Buffer.concat(parts);
+}
+// Incremental reply parser: feed() chunks, get back complete replies. Bulk strings stay
+// Buffers (payloads are binary), errors become Error objects, nulls are null. Input that isn't
+// RESP throws; the stream can't be resynchronized after that, so callers drop the socket.
+function createParser() {
+  let buf = Buffer.alloc(0);
+  function parse(i) {
+    const eol = buf.indexOf(CRLF, i);
+    if (eol < 0) return null;
+    const type = String.fromCharCode(buf[i]);
+    const line = buf.toString("utf8", i + 1, eol);
+    const next = eol + 2;
+    switch (type) {
+      case "+": return { value: line, end: next };
+      case "-": return { value: new Error(line), end: next };
+      case ":": return { value: Number(line), end: next };
+      case "$": {
+        const len = Number(line);
+        if (len < 0) return { value: null, end: next };
+        if (buf.length < next + len + 2) return null;
+        return { value: buf.subarray(next, next + len), end: next + len + 2 };
+      }
+      case "*": {
+        const len = Number(line);
+        if (len < 0) return { value: null, end: next };
+        const items = [];
+        let at = next;
+        for (let n = 0; n < len; n++) {
+          const item = parse(at);
+          if (!item) return null;
+          items.push(item.value);
+          at = item.end;
+        }
+        return { value: items, end: at };
+      }
+      default:
+        throw new Error(`Unexpected RESP type ${JSON.stringify(type)}`);
+    }
+  }
+  return (chunk) => {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    const out = [];
+    for (let r = parse(0); r; r = parse(0)) {
+      out.push(r.value);
+      buf = buf.subarray(r.end);
+    }
+    return out;
+  };
+}
+
+// One socket to the broker that reconnects with backoff. `onReply` sees every reply in order;
+// `onReady` runs after each (re)connect, once AUTH (from the url's password) has been sent.
+function brokerConnection(url, { onReply, onReady }) {
+  const u = new URL(url);
+  let sock = null;
+  let closed = false;
+  let delay = 100;
+  function connect() {
+    if (closed) return; // closed while a reconnect was pending
+    const feed = createParser();
+    sock = net.connect(Number(u.port) || 6379, u.hostname || "127.0.0.1");
+    sock.setNoDelay(true);
+    sock.on("connect", () => {
+      delay = 100;
+      if (u.password) sock.write(encodeCommand(u.username ? ["AUTH", decodeURIComponent(u.username), decodeURIComponent(u.password)] : ["AUTH", decodeURIComponent(u.password)]));
+      onReady();
+    });
+    sock.on("data", (chunk) => {
+      let replies;
+      try {
+        replies = feed(chunk);
+      } catch (err) {
+        console.error(`pubsub: ${err.message}, reconnecting`);
+        return sock.destroy();
+      }
+      replies.forEach(onReply);
+    });
+    sock.on("error", (err) => console.error(`pubsub: ${err.message}`));
+    sock.on("close", () => {
+      sock = null;
+      if (closed) return;
+      setTimeout(connect, delay);
+      delay = Math.min(delay * 2, 5000);
+    });
+  }
+  connect();
+  const ready = () => !!sock && !sock.connecting && !sock.destroyed;
+  return {
+    ready,
+    // false while disconnected: the command is dropped, not queued
+    send(args) {
+      if (!ready()) return false;
+      sock.write(encodeCommand(args));
+      return true;
+    },
+    close() {
+      closed = true;
+      sock?.end();
+    }
+  };
+}
+
+// A subscribed connection can't publish, so there is one connection for each. Publishes are
+// dropped while the broker is unreachable; once both connections are back and every channel is
+// subscribed again, the onReconnect callbacks run so the caller can catch up.
+export function createRedisPubSub(url) {
+  const handlers = new Map(); // channel -> onMessage
+  const waiting = new Map(); // channel -> [resolve] until SUBSCRIBE is confirmed
+  const reconnectFns = [];
+  const connected = { pub: false, sub: false };
+  let resync = false;
+  let resubscribing = 0; // SUBSCRIBE confirmations still expected after a reconnect
+  function maybeResync() {
+    if (!resync || resubscribing > 0 || !pub.ready() || !sub.ready()) return;
+    resync = false;
+    reconnectFns.forEach((fn) => fn());
+  }
+  const pub = brokerConnection(url, {
+    onReply: (r) => { if (r instanceof Error) console.error(`pubsub: ${r.message}`); },
+    onReady() {
+      if (connected.pub) resync = true;
+      connected.pub = true;
+      maybeResync();
+    }
+  });
+  const sub = brokerConnection(url, {
+    onReply(r) {
+      if (r instanceof Error) return console.error(`pubsub: ${r.message}`);
+      if (!Array.isArray(r)) return;
+      const kind = String(r[0]);
+      const channel = String(r[1]);
+      if (kind === "message") handlers.get(channel)?.(new Uint8Array(r[2]));
+      else if (kind === "subscribe") {
+        (waiting.get(channel) || []).forEach((resolve) => resolve());
+        waiting.delete(channel);
+        if (resubscribing > 0) resubscribing -= 1;
+        maybeResync();
+      }
+    },
+    onReady() {
+      if (connected.sub) resync = true;
+      connected.sub = true;
+      resubscribing = handlers.size;
+      if (handlers.size) sub.send(["SUBSCRIBE", ...handlers.keys()]);
+      maybeResync();
+    }
+  });
+  return {
+    subscribe(channel, onMessage) {
+      handlers.set(channel, onMessage);
+      return new Promise((resolve) => {
+        waiting.set(channel, [...(waiting.get(channel) || []), resolve]);
+        sub.send(["SUBSCRIBE", channel]); // while disconnected, onReady subscribes it
+      });
+    },
+    unsubscribe(channel) {
+      handlers.delete(channel);
+      sub.send(["UNSUBSCRIBE", channel]);
+    },
+    publish(channel, data) {
+      pub.send(["PUBLISH", channel, data]);
+    },
+    onReconnect(fn) {
+      reconnectFns.push(fn);
+    },
+    ready: () => pub.ready() && sub.ready(),
+    close() {
+      pub.close();
+      sub.close();
+    }
+  };
+}
+
+// ----- stand-in broker -----
+// Just enough of the Redis protocol for createRedisPubSub (PING, AUTH, PUBLISH, SUBSCRIBE,
+// UNSUBSCRIBE, QUIT), for running several servers locally or in tests without Redis.
+export function createBrokerStandIn() {
+  const subscribers = new Map(); // channel -> Set<socket>
+  const reply = (sock, value) => {
+    if (Array.isArray(value)) {
+      sock.write(`*${value.length}${CRLF}`);
+      value.forEach((v) => reply(sock, v));
+    } else if (typeof value === "number") sock.write(`:${value}${CRLF}`);
+    else if (value instanceof Error) sock.write(`-${value.message}${CRLF}`);
+    else {
+      const b = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+      sock.write(Buffer.concat([Buffer.from(`$${b.length}${CRLF}`), b, Buffer.from(CRLF)]));
+    }
+  };
+  const channelsOf = (sock) => [...subscribers].filter(([, set]) => set.has(sock)).map(([ch]) => ch);
+  return net.createServer((sock) => {
+    const feed = createParser();
+    sock.on("data", (chunk) => {
+      let cmds;
+      try {
+        cmds = feed(chunk);
+      } catch (err) {
+        console.error(`stand-in broker: ${err.message} from ${sock.remoteAddress}, closing`);
+        return sock.destroy();
+      }
+      for (const cmd of cmds) {
+        if (!Array.isArray(cmd) || !cmd.length) continue;
+        const [name, ...args] = cmd;
+        switch (String(name).toUpperCase()) {
+          case "PING": sock.write(`+PONG${CRLF}`); break;
+          case "AUTH": sock.write(`+OK${CRLF}`); break;
+          case "QUIT": sock.end(`+OK${CRLF}`); break;
+          case "PUBLISH": {
+            const set = subscribers.get(String(args[0])) || new Set();
+            set.forEach((s) => reply(s, ["message", String(args[0]), args[1]]));
+            reply(sock, set.size);
+            break;
+          }
+          case "SUBSCRIBE":
+            args.map(String).forEach((ch) => {
+              if (!subscribers.has(ch)) subscribers.set(ch, new Set());
+              subscribers.get(ch).add(sock);
+              reply(sock, ["subscribe", ch, channelsOf(sock).length]);
+            });
+            break;
+          case "UNSUBSCRIBE":
+            (args.length ? args.map(String) : channelsOf(sock)).forEach((ch) => {
+              subscribers.get(ch)?.delete(sock);
+              reply(sock, ["unsubscribe", ch, channelsOf(sock).length]);
+            });
+            break;
+          default:
+            reply(sock, new Error(`ERR unknown command '${name}'`));
+        }
+      }
+    });
+    sock.on("error", () => {});
+    sock.on("close", () => subscribers.forEach((set) => set.delete(sock)));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url) && process.argv[2] === "broker") {
+  const port = Number(process.argv[3]) || 6379;
+  createBrokerStandIn().listen(port, () => console.log(`stand-in broker: redis://127.0.0.1:${port}`));
+}
@@ -0,0 +1,62 @@
+// Run with `npm test` (node --test). Exercises createRedisPubSub against the stand-in broker.
+import test from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { once } from "node:events";
+import { createBrokerStandIn, createRedisPubSub } from "./pubsub.js";
+
+async function startBroker(t) {
+  const broker = createBrokerStandIn().listen(0, "127.0.0.1");
+  await once(broker, "listening");
+  t.after(() => broker.close());
+  return `redis://127.0.0.1:${broker.address().port}`;
+}
+
+test("fans binary messages out to every subscriber of a channel", { timeout: 5000 }, async (t) => {
+  const url = await startBroker(t);
+  const a = createRedisPubSub(url);
+  const b = createRedisPubSub(url);
+  t.after(() => { a.close(); b.close(); });
+  const got = [];
+  await Promise.all([
+    a.subscribe("room", (m) => got.push(["a", m])),
+    b.subscribe("room", (m) => got.push(["b", m]))
+  ]);
+  a.publish("room", Uint8Array.of(0, 13, 10, 255));
+  while (got.length < 2) await new Promise((r) => setTimeout(r, 10));
+  assert.deepEqual(got.map(([who]) => who).sort(), ["a", "b"]);
+  got.forEach(([, m]) => assert.deepEqual([...m], [0, 13, 10, 255]));
+});
+
+test("the broker drops clients that don't speak RESP and keeps serving", { timeout: 5000 }, async (t) => {
+  const url = await startBroker(t);
+  const { port } = new URL(url);
+  const bad = net.connect(Number(port), "127.0.0.1");
+  bad.on("error", () => {});
+  await once(bad, "connect");
+  bad.write("PING\r\n"); // inline command, not RESP
+  await once(bad, "close");
+
+  const ps = createRedisPubSub(url);
+  t.after(() => ps.close());
+  let deliver;
+  const message = new Promise((resolve) => (deliver = resolve));
+  await ps.subscribe("after", deliver);
+  ps.publish("after", Uint8Array.of(1));
+  assert.deepEqual([...(await message)], [1]);
+});
+
+test("a client reconnects when the broker sends something that isn't RESP", { timeout: 5000 }, async (t) => {
+  let conns = 0;
+  const fake = net.createServer((sock) => {
+    conns += 1;
+    sock.on("error", () => {});
+    sock.write("?garbage\r\n");
+  }).listen(0, "127.0.0.1");
+  await once(fake, "listening");
+  t.after(() => fake.close());
+  const ps = createRedisPubSub(`redis://127.0.0.1:${fake.address().port}`);
+  t.after(() => ps.close());
+  while (conns < 4) await new Promise((r) => setTimeout(r, 20)); // two connections, each dropped and reopened
+  assert.ok(conns >= 4);
+});
@@ -1,7 +1,11 @@
-// server.js — Express + sessions + SQLite + Yjs WS + full API + auth-gated rooms
+// server.js — Express + sessions + SQLite + Yjs WS + full API + auth-gated rooms + SVG/PNG export
+import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import dns from "node:dns/promises";
 import crypto from "node:crypto";
 
 import express from "express";
@@ -9,6 +13,12 @@ import session from "express-session";
 import bcrypt from "bcryptjs";
 import Database from "better-sqlite3";
 import { z } from "zod";
+import { Resvg } from "@resvg/resvg-js";
+
+import {
+  rawBounds, paintBounds, curveSegments, hasPressure, pressureOutline, strokeTimeline
+} from "./public/render.js";
+import { createLocalPubSub, createRedisPubSub } from "./pubsub.js";
 
 import { WebSocketServer } from "ws";
 import * as Y from "yjs";
@@ -29,19 +39,88 @@ const server = http.createServer(app);
 app.use(express.static(path.join(__dirname, "public")));
 app.use(express.json({ limit: "4mb" }));
 app.use(express.urlencoded({ extended: true }));
-app.use(
-  session({
-    secret: "change-me-in-prod",
-    resave: false,
-    saveUninitialized: false,
-    cookie: { httpOnly: true, sameSite: "lax" }
-  })
-);
+
+// --------------------------------------------------
+// Metrics (Prometheus text format, served at /metrics)
+// --------------------------------------------------
+// Counters and histograms are bumped where things happen; gauges are read at scrape time.
+const metricFamilies = [];
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n")}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+function counter(name, help) {
+  const values = new Map(); // label text -> count
+  metricFamilies.push({ name, help, type: "counter", samples: () => Array.from(values, ([l, v]) => `${name}${l} ${v}`) });
+  return {
+    inc(labels = {}, n = 1) {
+      const key = labelText(labels);
+      values.set(key, (values.get(key) ?? 0) + n);
+    },
+    total: () => Array.from(values.values()).reduce((a, b) => a + b, 0)
+  };
+}
+// collect() returns [labels, value] pairs
+function gauge(name, help, collect) {
+  metricFamilies.push({ name, help, type: "gauge", samples: () => collect().map(([l, v]) => `${name}${labelText(l)} ${v}`) });
+}
+function histogram(name, help, buckets) {
+  const series = new Map(); // label text -> { labels, counts (per bucket), sum, count }
+  metricFamilies.push({
+    name,
+    help,
+    type: "histogram",
+    samples: () =>
+      Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${labelText(labels)} ${sum}`,
+        `${name}_count${labelText(labels)} ${count}`
+      ])
+  });
+  return {
+    observe(labels, value) {
+      const key = labelText(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const h = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) h.counts[i] += 1; });
+      h.sum += value;
+      h.count += 1;
+    }
+  };
+}
+const renderMetrics = () =>
+  metricFamilies.map((f) => [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.samples()].join("\n")).join("\n") + "\n";
+
+const sqliteSeconds = histogram("dkin_sqlite_query_seconds", "Time spent running SQLite statements", [
+  0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1
+]);
+const authFailures = counter("dkin_auth_failures_total", "Rejected logins and password checks, by reason");
+const rateLimited = counter("dkin_rate_limited_total", "Requests refused by a rate limit, by limit");
+const wsMessages = counter("dkin_ws_messages_total", "Messages received on room sockets, by type");
+const wsDisconnects = counter("dkin_ws_disconnects_total", "Room sockets closed by the server, by close code");
 
 // --------------------------------------------------
 // SQLite (drawings)
 // --------------------------------------------------
-const db = new Database(path.join(__dirname, "drawings.sqlite"));
+const db = new Database(process.env.DB_PATH || path.join(__dirname, "drawings.sqlite"));
+// every statement is timed for dkin_sqlite_query_seconds
+const prepareStatement = db.prepare.bind(db);
+db.prepare = (sql) => {
+  const stmt = prepareStatement(sql);
+  for (const op of ["run", "get", "all"]) {
+    const run = stmt[op].bind(stmt);
+    stmt[op] = (...args) => {
+      const t0 = process.hrtime.bigint();
+      try {
+        return run(...args);
+      } finally {
+        sqliteSeconds.observe({ op }, Number(process.hrtime.bigint() - t0) / 1e9);
+      }
+    };
+  }
+  return stmt;
+};
 db.exec(`
 CREATE TABLE IF NOT EXISTS drawings (
   id TEXT PRIMARY KEY,
@@ -50,24 +129,772 @@ CREATE TABLE IF NOT EXISTS drawings (
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL
 );
+CREATE TABLE IF NOT EXISTS drawing_collaborators (
+  drawing_id TEXT NOT NULL,
+  username TEXT NOT NULL COLLATE NOCASE,
+  role TEXT NOT NULL CHECK (role IN ('viewer','editor')),
+  PRIMARY KEY (drawing_id, username)
+);
+CREATE TABLE IF NOT EXISTS drawing_revisions (
+  drawing_id TEXT NOT NULL,
+  rev INTEGER NOT NULL,
+  json TEXT NOT NULL,
+  author TEXT,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (drawing_id, rev)
+);
+CREATE TABLE IF NOT EXISTS drawing_thumbnails (
+  drawing_id TEXT PRIMARY KEY,
+  rev INTEGER NOT NULL,
+  png BLOB NOT NULL
+);
+`);
+
+// additive migrations for databases created by older versions; true when the column was added
+function addColumn(table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some((c) => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  return true;
+}
+// rows saved before ownership existed have no owner and stay publicly readable
+addColumn("drawings", "owner", "TEXT");
+addColumn("drawings", "visibility", "TEXT NOT NULL DEFAULT 'public'");
+// drawings saved before history existed start out with their current state as revision 1
+db.exec(`
+INSERT INTO drawing_revisions (drawing_id,rev,json,author,created_at)
+SELECT id, 1, json, owner, updated_at FROM drawings
+WHERE id NOT IN (SELECT drawing_id FROM drawing_revisions);
+`);
+
+// --------------------------------------------------
+// SQLite (room documents as incremental Yjs updates)
+// --------------------------------------------------
+db.exec(`
+CREATE TABLE IF NOT EXISTS room_updates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  room TEXT NOT NULL,
+  data BLOB NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS room_updates_room ON room_updates (room, id);
+`);
+
+// Room access: whoever creates a room (POST /api/rooms) owns it. Others join as members, either
+// added by the owner or by redeeming the room's join token (which grants `join_role`).
+db.exec(`
+CREATE TABLE IF NOT EXISTS rooms (
+  name TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  join_token TEXT NOT NULL,
+  join_role TEXT NOT NULL DEFAULT 'editor' CHECK (join_role IN ('viewer','editor')),
+  created_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS room_members (
+  room TEXT NOT NULL,
+  username TEXT NOT NULL COLLATE NOCASE,
+  role TEXT NOT NULL CHECK (role IN ('viewer','editor')),
+  PRIMARY KEY (room, username)
+);
+`);
+
+const ROOM_COMPACT_AFTER = Number(process.env.ROOM_COMPACT_AFTER) || 500; // stored updates per room
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MS) || 60_000; // unload empty rooms after this
+const STORE_ORIGIN = "store"; // transaction origin for updates replayed from SQLite
+// quotas: clients going over them are disconnected (see onWSConnection)
+const ROOM_MAX_STROKES = Number(process.env.ROOM_MAX_STROKES) || 20_000;
+const ROOM_MAX_BYTES = Number(process.env.ROOM_MAX_BYTES) || 32 * 1024 * 1024; // stored updates
+const STROKE_MAX_POINTS = Number(process.env.STROKE_MAX_POINTS) || 10_000;
+
+const newJoinToken = () => crypto.randomBytes(18).toString("base64url");
+
+const roomRecord = (name) => db.prepare(`SELECT * FROM rooms WHERE name=?`).get(name);
+
+// returns the room record, creating it owned by `username` if it doesn't exist yet;
+// throws a ZodError for names RoomNameSchema rejects
+function ensureRoomRecord(room, username) {
+  room = RoomNameSchema.parse(room);
+  const rec = roomRecord(room);
+  if (rec) return rec;
+  const now = new Date().toISOString();
+  db.prepare(`INSERT INTO rooms (name,owner,join_token,created_at,last_active_at) VALUES (?,?,?,?,?)`)
+    .run(room, username, newJoinToken(), now, now);
+  return roomRecord(room);
+}
+
+// "owner" | "editor" | "viewer" | null (not a member)
+function roomRole(rec, username) {
+  if (rec.owner === username) return "owner";
+  const m = db.prepare(`SELECT role FROM room_members WHERE room=? AND username=?`).get(rec.name, username);
+  return m?.role ?? null;
+}
+
+// archived rooms stay readable but nobody can change them until the owner unarchives
+const roomReadOnly = (rec, role) => role === "viewer" || !!rec.archived_at;
+
+const roomStore = {
+  // replay every stored update into `doc`; returns how many rows were read
+  load(room, doc) {
+    const rows = db.prepare(`SELECT data FROM room_updates WHERE room=? ORDER BY id`).all(room);
+    Y.transact(doc, () => rows.forEach((r) => Y.applyUpdate(doc, r.data)), STORE_ORIGIN);
+    return rows.length;
+  },
+  // bytes stored for a room, which compaction brings down to the size of its state
+  size(room) {
+    return db.prepare(`SELECT COALESCE(SUM(LENGTH(data)),0) AS n FROM room_updates WHERE room=?`).get(room).n;
+  },
+  append(room, update) {
+    db.prepare(`INSERT INTO room_updates (room,data,created_at) VALUES (?,?,?)`)
+      .run(room, Buffer.from(update), new Date().toISOString());
+  },
+  // Replace all rows of a room with a single update holding the full state. Rows appended by
+  // other server processes are merged in first, in case their broadcast never reached `doc`.
+  compact: db.transaction((room, doc) => {
+    const merged = new Y.Doc();
+    Y.applyUpdate(merged, Y.encodeStateAsUpdate(doc));
+    roomStore.load(room, merged);
+    db.prepare(`DELETE FROM room_updates WHERE room=?`).run(room);
+    roomStore.append(room, Y.encodeStateAsUpdate(merged));
+    merged.destroy();
+  })
+};
+
+// Directory metadata. `last_active_at` and `stroke_count` follow every stored update and
+// `visits` counts socket connections, which is what "popular" sorts by.
+addColumn("rooms", "title", "TEXT NOT NULL DEFAULT ''");
+addColumn("rooms", "description", "TEXT NOT NULL DEFAULT ''");
+addColumn("rooms", "archived_at", "TEXT");
+addColumn("rooms", "visits", "INTEGER NOT NULL DEFAULT 0");
+if (addColumn("rooms", "last_active_at", "TEXT")) {
+  db.exec(`
+  UPDATE rooms SET last_active_at = COALESCE(
+    (SELECT MAX(created_at) FROM room_updates WHERE room_updates.room = rooms.name), created_at);
+  `);
+}
+if (addColumn("rooms", "stroke_count", "INTEGER NOT NULL DEFAULT 0")) {
+  for (const { name } of db.prepare(`SELECT name FROM rooms`).all()) {
+    const doc = new Y.Doc();
+    roomStore.load(name, doc);
+    db.prepare(`UPDATE rooms SET stroke_count=? WHERE name=?`).run(doc.getArray("strokes").length, name);
+    doc.destroy();
+  }
+}
+
+// --------------------------------------------------
+// SQLite (room webhooks and their delivery queue)
+// --------------------------------------------------
+// `events` is a JSON array of event names. Deliveries are queued here so retries survive a
+// restart; `next_at` (ms since the epoch) is when a pending delivery is due, or when the lease of
+// the process sending it runs out.
+db.exec(`
+CREATE TABLE IF NOT EXISTS room_webhooks (
+  id TEXT PRIMARY KEY,
+  room TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS room_webhooks_room ON room_webhooks (room);
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('pending','sending','delivered','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_at INTEGER NOT NULL,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  delivered_at TEXT
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries (status, next_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_hook ON webhook_deliveries (webhook_id, created_at);
+`);
+
+// --------------------------------------------------
+// SQLite (uploaded images)
+// --------------------------------------------------
+// Image strokes point at /api/images/<id>; the id is the SHA-256 of the bytes, so the same
+// picture uploaded twice is stored once, and the id can't be guessed without the picture.
+db.exec(`
+CREATE TABLE IF NOT EXISTS images (
+  id TEXT PRIMARY KEY,
+  mime TEXT NOT NULL,
+  data BLOB NOT NULL,
+  size INTEGER NOT NULL,
+  owner TEXT,
+  created_at TEXT NOT NULL
+);
+`);
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_SRC = /^\/api\/images\/([0-9a-f]{64})$/;
+
+// PNG and JPEG only, recognised by their magic bytes rather than the declared type
+function imageMime(buf) {
+  if (buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  return null;
+}
+
+// --------------------------------------------------
+// SQLite (users + sessions)
+// --------------------------------------------------
+db.exec(`
+CREATE TABLE IF NOT EXISTS users (
+  username TEXT PRIMARY KEY COLLATE NOCASE,
+  hash TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS sessions (
+  sid TEXT PRIMARY KEY,
+  sess TEXT NOT NULL,
+  username TEXT,
+  expires INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS sessions_username ON sessions (username);
 `);
 
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// express-session store backed by the `sessions` table (replaces the leaky MemoryStore)
+class SqliteSessionStore extends session.Store {
+  constructor(db, { pruneEveryMs = 15 * 60 * 1000 } = {}) {
+    super();
+    this.db = db;
+    this.pruneTimer = setInterval(() => this.prune(), pruneEveryMs);
+    this.pruneTimer.unref();
+  }
+
+  expiresAt(sess) {
+    const exp = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : NaN;
+    return Number.isFinite(exp) ? exp : Date.now() + SESSION_TTL_MS;
+  }
+
+  get(sid, cb) {
+    try {
+      const row = this.db.prepare(`SELECT sess FROM sessions WHERE sid=? AND expires>?`).get(sid, Date.now());
+      cb(null, row ? JSON.parse(row.sess) : null);
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  set(sid, sess, cb = () => {}) {
+    try {
+      this.db.prepare(`INSERT OR REPLACE INTO sessions (sid,sess,username,expires) VALUES (?,?,?,?)`)
+        .run(sid, JSON.stringify(sess), sess.user?.username ?? null, this.expiresAt(sess));
+      cb(null);
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  touch(sid, sess, cb = () => {}) {
+    try {
+      this.db.prepare(`UPDATE sessions SET expires=? WHERE sid=?`).run(this.expiresAt(sess), sid);
+      cb(null);
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  destroy(sid, cb = () => {}) {
+    try {
+      this.db.prepare(`DELETE FROM sessions WHERE sid=?`).run(sid);
+      cb(null);
+    } catch (err) {
+      cb(err);
+    }
+  }
+
+  // sign a user out everywhere, optionally keeping the session that asked for it
+  destroyUser(username, exceptSid = "") {
+    this.db.prepare(`DELETE FROM sessions WHERE username=? COLLATE NOCASE AND sid<>?`).run(username, exceptSid);
+  }
+
+  prune() {
+    this.db.prepare(`DELETE FROM sessions WHERE expires<=?`).run(Date.now());
+  }
+}
+
+const sessionStore = new SqliteSessionStore(db);
+// kept in a variable so the WebSocket upgrade can read the same session cookie
+const sessionMiddleware = session({
+  store: sessionStore,
+  secret: process.env.SESSION_SECRET || "change-me-in-prod",
+  resave: false,
+  saveUninitialized: false,
+  cookie: { httpOnly: true, sameSite: "lax", maxAge: SESSION_TTL_MS }
+});
+app.use(sessionMiddleware);
+
 // --------------------------------------------------
-// Auth (demo)
+// Auth
 // --------------------------------------------------
-const users = new Map(); // username -> { username, hash }
+const findUser = (username) => db.prepare(`SELECT username,hash FROM users WHERE username=?`).get(username);
 const requireAuth = (req, res, next) =>
   req.session.user ? next() : res.status(401).json({ error: "Auth required" });
 const safe = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+// admins are listed in ADMIN_USERS (comma-separated usernames) and may use /admin and /api/admin
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || "").split(",").map((u) => u.trim().toLowerCase()).filter(Boolean));
+const isAdmin = (username) => !!username && ADMIN_USERS.has(username.toLowerCase());
+const requireAdmin = (req, res, next) => {
+  if (!req.session.user) return res.status(401).json({ error: "Auth required" });
+  if (!isAdmin(req.session.user.username)) return res.status(403).json({ error: "Admins only" });
+  next();
+};
+
+// --------------------------------------------------
+// Rate limits
+// --------------------------------------------------
+// Fixed windows counted in memory, so each server process keeps its own counts. Behind a
+// reverse proxy, TRUST_PROXY (the number of proxy hops) makes req.ip the client's address.
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+const AUTH_MAX_PER_IP = Number(process.env.AUTH_MAX_PER_IP) || 30; // auth requests per 15 min
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 10; // per account per 15 min
+const DRAWINGS_MAX_PER_IP = Number(process.env.DRAWINGS_MAX_PER_IP) || 300; // per minute
+const DRAWINGS_MAX_WRITES = Number(process.env.DRAWINGS_MAX_WRITES) || 60; // per user per minute
+
+// at most `max` hits per key every `windowMs`; the first hit over the limit is logged
+function createLimiter({ name, max, windowMs }) {
+  const windows = new Map(); // key -> { count, resetAt }
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, windowMs).unref();
+  const retryAfter = (w) => Math.max(1, Math.ceil((w.resetAt - Date.now()) / 1000));
+  const current = (key) => {
+    const w = windows.get(key);
+    return w && w.resetAt > Date.now() ? w : null;
+  };
+  return {
+    // counts a hit; seconds to wait if `key` is over the limit, else 0
+    hit(key) {
+      let w = current(key);
+      if (!w) windows.set(key, (w = { count: 0, resetAt: Date.now() + windowMs }));
+      w.count += 1;
+      if (w.count <= max) return 0;
+      rateLimited.inc({ limit: name });
+      if (w.count === max + 1) console.warn(`rate limit: ${name} from ${key} over ${max} per ${windowMs / 1000}s`);
+      return retryAfter(w);
+    },
+    // like hit() without counting
+    blocked(key) {
+      const w = current(key);
+      return w && w.count >= max ? retryAfter(w) : 0;
+    },
+    reset(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+function tooManyRequests(res, retryAfter, error = "Too many requests, try again later") {
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error, retryAfter });
+}
+// counts each request under keyOf(req); requests without a key aren't limited
+const rateLimit = (limiter, keyOf) => (req, res, next) => {
+  const key = keyOf(req);
+  const wait = key ? limiter.hit(key) : 0;
+  if (wait) return tooManyRequests(res, wait);
+  next();
+};
+
+const authLimiter = createLimiter({ name: "auth requests", max: AUTH_MAX_PER_IP, windowMs: 15 * 60_000 });
+// wrong passwords per account, whichever address they come from
+const loginFailures = createLimiter({ name: "failed logins", max: LOGIN_MAX_FAILURES, windowMs: 15 * 60_000 });
+const drawingRequests = createLimiter({ name: "drawing requests", max: DRAWINGS_MAX_PER_IP, windowMs: 60_000 });
+const drawingWrites = createLimiter({ name: "drawing writes", max: DRAWINGS_MAX_WRITES, windowMs: 60_000 });
+const limitAuth = rateLimit(authLimiter, (req) => req.ip);
+const limitDrawingWrites = rateLimit(drawingWrites, (req) => req.session.user?.username.toLowerCase());
 
 // --------------------------------------------------
 // Validation
 // --------------------------------------------------
+// One schema per tool; `tool` discriminates. Shapes keep their geometry instead of points.
+const PointSchema = z.object({ x: z.number(), y: z.number() });
+// `id` is stable across edits; tx/ty/rot/scale move, rotate and scale a stroke about its center;
+// `author` and `at` (ISO time) say who added the stroke to the room and when (rooms set both)
+const StrokeBase = z.object({
+  id: z.string().max(64).optional(),
+  author: z.string().max(64).optional(),
+  at: z.string().max(40).optional(),
+  layer: z.string().max(64).optional(),
+  color: z.string().max(64),
+  size: z.number().positive().max(200),
+  opacity: z.number().min(0).max(1).optional(),
+  tx: z.number().optional(),
+  ty: z.number().optional(),
+  rot: z.number().optional(),
+  scale: z.number().positive().optional()
+});
+// `p` is stylus pressure (0..1), `t` ms since the stroke started; `input` is the pointer type
+const PenPointSchema = PointSchema.extend({
+  p: z.number().min(0).max(1).optional(),
+  t: z.number().nonnegative().optional()
+});
+const FreehandStroke = StrokeBase.extend({
+  input: z.enum(["mouse", "pen", "touch"]).optional(),
+  points: z.array(PenPointSchema).min(1).max(STROKE_MAX_POINTS)
+});
+const SegmentStroke = StrokeBase.extend({ x1: z.number(), y1: z.number(), x2: z.number(), y2: z.number() });
+const BoxStroke = StrokeBase.extend({
+  x: z.number(),
+  y: z.number(),
+  w: z.number().nonnegative(),
+  h: z.number().nonnegative(),
+  fill: z.string().max(64).nullable().optional()
+});
+// bytes live in the images table; `src` is the upload's URL
+const ImageStroke = StrokeBase.extend({
+  tool: z.literal("image"),
+  color: z.string().max(64).optional(),
+  size: z.number().positive().max(200).optional(),
+  x: z.number(),
+  y: z.number(),
+  w: z.number().positive(),
+  h: z.number().positive(),
+  src: z.string().regex(IMAGE_SRC, "src must be an /api/images/<id> URL")
+});
+const StrokeSchema = z.discriminatedUnion("tool", [
+  FreehandStroke.extend({ tool: z.literal("pen") }),
+  FreehandStroke.extend({ tool: z.literal("eraser"), color: z.string().max(64).optional() }),
+  SegmentStroke.extend({ tool: z.literal("line") }),
+  SegmentStroke.extend({ tool: z.literal("arrow") }),
+  BoxStroke.extend({ tool: z.literal("rect") }),
+  BoxStroke.extend({ tool: z.literal("ellipse") }),
+  StrokeBase.extend({
+    tool: z.literal("text"),
+    x: z.number(),
+    y: z.number(),
+    text: z.string().min(1).max(2000),
+    fontSize: z.number().positive().max(400)
+  }),
+  ImageStroke
+]);
+
+// bottom → top; strokes refer to a layer by id (drawings without layers have one implicit layer)
+const LayerSchema = z.object({
+  id: z.string().min(1).max(64),
+  name: z.string().max(100),
+  visible: z.boolean(),
+  locked: z.boolean(),
+  opacity: z.number().min(0).max(1)
+});
+
+// room conversation: chat messages and comment pins (at world coordinates) with threaded replies
+const MessageTextSchema = z.string().trim().min(1).max(2000);
+const MessageSchema = z.object({
+  id: z.string().max(64),
+  author: z.string().max(64),
+  text: MessageTextSchema,
+  at: z.string().max(40)
+});
+const CommentSchema = MessageSchema.extend({
+  x: z.number(),
+  y: z.number(),
+  resolved: z.boolean(),
+  resolvedBy: z.string().max(64).nullable().optional(),
+  replies: z.array(MessageSchema)
+});
+
+const MAX_DRAWING_SIDE = 100_000; // page width and height, in world units
+const PageSideSchema = z.number().positive().max(MAX_DRAWING_SIDE, `a drawing may be at most ${MAX_DRAWING_SIDE} units per side`);
 const DrawingSchema = z.object({
   title: z.string().min(1),
-  size: z.object({ w: z.number().positive(), h: z.number().positive() }),
+  // the page is size.w x size.h starting at origin (world coordinates are unbounded)
+  origin: PointSchema.optional(),
+  size: z.object({ w: PageSideSchema, h: PageSideSchema }),
   background: z.string(),
-  strokes: z.array(z.any())
+  layers: z.array(LayerSchema).optional(),
+  strokes: z.array(StrokeSchema).max(ROOM_MAX_STROKES),
+  chat: z.array(MessageSchema).optional(),
+  comments: z.array(CommentSchema).optional()
+});
+
+const UsernameSchema = z
+  .string()
+  .trim()
+  .min(3, "Username must be at least 3 characters")
+  .max(32, "Username must be at most 32 characters")
+  .regex(/^[A-Za-z0-9_.-]+$/, "Username may only contain letters, digits, _ . and -");
+const PasswordSchema = z
+  .string()
+  .min(8, "Password must be at least 8 characters")
+  .max(128, "Password must be at most 128 characters");
+
+const RegisterSchema = z.object({ username: UsernameSchema, password: PasswordSchema });
+// login only checks presence, so rule changes never lock out existing accounts
+const LoginSchema = z.object({ username: z.string().trim().min(1), password: z.string().min(1) });
+const PasswordChangeSchema = z.object({ currentPassword: z.string().min(1), newPassword: PasswordSchema });
+const AccountDeleteSchema = z.object({ password: z.string().min(1) });
+
+const VisibilitySchema = z.enum(["private", "unlisted", "public"]);
+const DrawingMetaSchema = z.object({ visibility: VisibilitySchema.optional() });
+const CollaboratorSchema = z.object({ role: z.enum(["viewer", "editor"]) });
+const RevisionParamSchema = z.coerce.number().int().positive();
+const CompareQuerySchema = z.object({
+  from: RevisionParamSchema.optional(),
+  to: RevisionParamSchema.optional()
+});
+// ?scale=2&crop=x,y,w,h&background=%23fff|transparent
+const RenderQuerySchema = z.object({
+  scale: z.coerce.number().positive().max(8).optional(),
+  crop: z
+    .string()
+    .transform((v) => v.split(",").map(Number))
+    .refine((v) => v.length === 4 && v.every(Number.isFinite) && v[2] > 0 && v[3] > 0, "crop must be x,y,w,h")
+    .transform(([x, y, w, h]) => ({ x, y, w, h }))
+    .optional(),
+  background: z
+    .string()
+    .regex(/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/, "background must be a hex color, a color name or transparent")
+    .optional()
+});
+const RoomJoinSchema = z.object({ token: z.string().min(1) });
+const RoomTokenSchema = z.object({ joinRole: z.enum(["viewer", "editor"]).optional() });
+const RoomTitleSchema = z.string().trim().max(120);
+const RoomDescriptionSchema = z.string().trim().max(1000);
+const RoomNameSchema = z.string().trim().regex(/^[\w-]{1,64}$/, "name may only use letters, digits, _ and -");
+const RoomCreateSchema = z.object({
+  name: RoomNameSchema.optional(),
+  title: RoomTitleSchema.default(""),
+  description: RoomDescriptionSchema.default("")
+});
+const RoomUpdateSchema = z.object({
+  title: RoomTitleSchema.optional(),
+  description: RoomDescriptionSchema.optional(),
+  archived: z.boolean().optional()
+});
+const SnapshotSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  visibility: VisibilitySchema.optional()
+});
+const RoomStrokesSchema = z.object({ strokes: z.array(StrokeSchema).min(1).max(1000) });
+const WEBHOOK_EVENTS = ["stroke.added", "room.cleared", "peer.joined", "peer.left", "drawing.saved"];
+const WebhookCreateSchema = z.object({
+  url: z.string().trim().max(2000).url().refine((u) => /^https?:\/\//i.test(u), "url must be http or https"),
+  // every event when omitted
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).optional()
+});
+const ForkSchema = z.object({ name: RoomNameSchema.optional(), title: RoomTitleSchema.optional() });
+const MessagePostSchema = z.object({ text: MessageTextSchema });
+const CommentCreateSchema = z.object({ x: z.number(), y: z.number(), text: MessageTextSchema });
+const CommentUpdateSchema = z.object({ resolved: z.boolean() });
+// ?q=&sort=recent|popular|created|title&status=active|archived|all&page=&limit=
+const RoomDirectoryQuerySchema = z.object({
+  q: z.string().trim().max(100).default(""),
+  sort: z.enum(["recent", "popular", "created", "title"]).default("recent"),
+  status: z.enum(["active", "archived", "all"]).default("active"),
+  page: z.coerce.number().int().positive().default(1),
+  limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+const AdminRoomsQuerySchema = z.object({
+  q: z.string().trim().max(100).default(""),
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+});
+const KickSchema = z.object({ username: z.string().trim().min(1).max(64) });
+
+// --------------------------------------------------
+// Rendering (drawing JSON -> SVG -> PNG, no browser needed)
+// --------------------------------------------------
+// Mirrors drawStroke() in public/render.js so exports match what the room shows.
+const MAX_RENDER_SIDE = 8192;
+// resvg maps the generic "sans-serif" to Arial only, so name common fallbacks explicitly
+const SVG_FONT = "Helvetica, Arial, DejaVu Sans, Liberation Sans, sans-serif";
+
+const xml = (v) =>
+  String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+const num = (v) => +Number(v).toFixed(2);
+
+function strokeTransform(s) {
+  if (!s.tx && !s.ty && !s.rot && (s.scale ?? 1) === 1) return "";
+  const b = rawBounds(s);
+  const cx = (b.x0 + b.x1) / 2, cy = (b.y0 + b.y1) / 2;
+  return (
+    `translate(${num((s.tx || 0) + cx)} ${num((s.ty || 0) + cy)}) rotate(${num(((s.rot || 0) * 180) / Math.PI)}) ` +
+    `scale(${num(s.scale ?? 1)}) translate(${num(-cx)} ${num(-cy)})`
+  );
+}
+
+// the same Catmull-Rom curve the canvas draws
+const curvePath = (pts) =>
+  `M${num(pts[0].x)} ${num(pts[0].y)}` +
+  (pts.length === 1
+    ? `L${num(pts[0].x + 0.01)} ${num(pts[0].y)}` // a dot
+    : curveSegments(pts)
+        .map(([c1, c2, to]) => `C${num(c1.x)} ${num(c1.y)} ${num(c2.x)} ${num(c2.y)} ${num(to.x)} ${num(to.y)}`)
+        .join(""));
+const polygonPath = (pts) => pts.map((p, i) => `${i ? "L" : "M"}${num(p.x)} ${num(p.y)}`).join("") + "Z";
+
+function arrowHead(s) {
+  const angle = Math.atan2(s.y2 - s.y1, s.x2 - s.x1);
+  const len = Math.max(10, s.size * 3);
+  const pt = (a) => `${num(s.x2 - len * Math.cos(a))},${num(s.y2 - len * Math.sin(a))}`;
+  return `${num(s.x2)},${num(s.y2)} ${pt(angle - Math.PI / 7)} ${pt(angle + Math.PI / 7)}`;
+}
+
+function strokeToSVG(s) {
+  const a = s.opacity ?? 1;
+  const line = `stroke="${xml(s.color)}" stroke-width="${num(s.size)}" stroke-opacity="${a}" stroke-linecap="round" stroke-linejoin="round"`;
+  let el;
+  switch (s.tool) {
+    case "pen":
+      el = hasPressure(s)
+        ? `<path d="${polygonPath(pressureOutline(s))}" fill="${xml(s.color)}" fill-opacity="${a}"/>`
+        : `<path d="${curvePath(s.points)}" fill="none" ${line}/>`;
+      break;
+    case "line":
+    case "arrow":
+      el = `<path d="M${num(s.x1)} ${num(s.y1)}L${num(s.x2)} ${num(s.y2)}" fill="none" ${line}/>`;
+      if (s.tool === "arrow") el += `<polygon points="${arrowHead(s)}" fill="${xml(s.color)}" fill-opacity="${a}"/>`;
+      break;
+    case "rect":
+    case "ellipse": {
+      const fill = s.fill ? `fill="${xml(s.fill)}" fill-opacity="${a}"` : `fill="none"`;
+      el =
+        s.tool === "rect"
+          ? `<rect x="${num(s.x)}" y="${num(s.y)}" width="${num(s.w)}" height="${num(s.h)}" ${fill} ${line}/>`
+          : `<ellipse cx="${num(s.x + s.w / 2)}" cy="${num(s.y + s.h / 2)}" rx="${num(s.w / 2)}" ry="${num(s.h / 2)}" ${fill} ${line}/>`;
+      break;
+    }
+    case "image": {
+      // inlined, so exported SVGs are self-contained and resvg needs no file access
+      const img = db.prepare(`SELECT mime, data FROM images WHERE id=?`).get(IMAGE_SRC.exec(s.src)?.[1]);
+      if (!img) return "";
+      el =
+        `<image x="${num(s.x)}" y="${num(s.y)}" width="${num(s.w)}" height="${num(s.h)}" opacity="${a}" ` +
+        `preserveAspectRatio="none" href="data:${img.mime};base64,${img.data.toString("base64")}"/>`;
+      break;
+    }
+    case "text":
+      el =
+        `<text font-family="${SVG_FONT}" font-size="${num(s.fontSize)}" fill="${xml(s.color)}" fill-opacity="${a}" ` +
+        `dominant-baseline="text-before-edge" xml:space="preserve">` +
+        String(s.text)
+          .split("\n")
+          .map((l, i) => `<tspan x="${num(s.x)}" y="${num(s.y + i * s.fontSize * 1.2)}">${xml(l)}</tspan>`)
+          .join("") +
+        `</text>`;
+      break;
+    default:
+      return "";
+  }
+  const t = strokeTransform(s);
+  return t ? `<g transform="${t}">${el}</g>` : el;
+}
+
+// Renders a stored drawing. An eraser hides everything drawn before it on its layer, so the
+// layer's content so far is wrapped in a mask that cuts out the eraser's path.
+function drawingToSVG(drawing, { scale = 1, crop, background } = {}) {
+  const view = crop ?? { x: drawing.origin?.x ?? 0, y: drawing.origin?.y ?? 0, w: drawing.size.w, h: drawing.size.h };
+  const layers = drawing.layers?.length ? drawing.layers : [{ id: "default", visible: true, opacity: 1 }];
+  const known = new Set(layers.map((l) => l.id));
+  const defs = [];
+  const body = layers.map((layer) => {
+    if (layer.visible === false) return "";
+    let content = "";
+    for (const s of drawing.strokes) {
+      if ((known.has(s.layer) ? s.layer : layers[0].id) !== layer.id) continue;
+      if (s.tool !== "eraser") {
+        content += strokeToSVG(s);
+        continue;
+      }
+      const id = `erase${defs.length}`;
+      const t = strokeTransform(s);
+      defs.push(
+        `<mask id="${id}" maskUnits="userSpaceOnUse" x="-100000" y="-100000" width="200000" height="200000">` +
+          `<rect x="-100000" y="-100000" width="200000" height="200000" fill="#fff"/>` +
+          `<path d="${curvePath(s.points)}"${t ? ` transform="${t}"` : ""} fill="none" stroke="#000" ` +
+          `stroke-width="${num(s.size)}" stroke-linecap="round" stroke-linejoin="round"/></mask>`
+      );
+      content = `<g mask="url(#${id})">${content}</g>`;
+    }
+    return content && `<g opacity="${layer.opacity ?? 1}">${content}</g>`;
+  });
+  const bg = background ?? drawing.background;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(view.w * scale)}" height="${num(view.h * scale)}" ` +
+    `viewBox="${num(view.x)} ${num(view.y)} ${num(view.w)} ${num(view.h)}">` +
+    (defs.length ? `<defs>${defs.join("")}</defs>` : "") +
+    (bg && bg !== "transparent"
+      ? `<rect x="${num(view.x)}" y="${num(view.y)}" width="${num(view.w)}" height="${num(view.h)}" fill="${xml(bg)}"/>`
+      : "") +
+    body.join("") +
+    `</svg>`
+  );
+}
+
+function svgToPNG(svg) {
+  return new Resvg(svg, { font: { loadSystemFonts: true } }).render().asPng();
+}
+
+// --------------------------------------------------
+// Vendored client libraries (served from node_modules, so rooms work without a CDN)
+// --------------------------------------------------
+// The room page imports yjs, y-websocket and y-indexeddb by bare name. At startup we walk their
+// ES module sources from those entries, resolving bare imports through each package's browser
+// exports, then serve exactly the files found under /vendor and an import map for the page.
+const VENDOR_ENTRIES = ["yjs", "y-websocket", "y-indexeddb"];
+const NODE_MODULES = path.join(__dirname, "node_modules");
+const EXPORT_CONDITIONS = ["browser", "module", "import", "default"];
+function exportTarget(e) {
+  if (typeof e === "string" || !e) return e ?? null;
+  const cond = EXPORT_CONDITIONS.find((c) => e[c]);
+  return cond ? exportTarget(e[cond]) : null;
+}
+// "lib0/encoding" -> "lib0/encoding.js" (relative to node_modules), or null
+function resolveVendor(spec) {
+  const pkg = spec.split("/").slice(0, spec.startsWith("@") ? 2 : 1).join("/");
+  const sub = "." + spec.slice(pkg.length);
+  let pj;
+  try {
+    pj = JSON.parse(fs.readFileSync(path.join(NODE_MODULES, pkg, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+  const target = pj.exports
+    ? exportTarget(typeof pj.exports === "string" || !(sub in pj.exports) ? (sub === "." ? pj.exports : null) : pj.exports[sub])
+    : sub === "." ? pj.module || pj.main : sub;
+  return target ? path.posix.join(pkg, target) : null;
+}
+const IMPORT_RE = /(?:^|[\s;])(?:import|export)\s(?:[^'"]*?\sfrom\s*)?['"]([^'"]+)['"]/g;
+function vendorGraph(entries) {
+  const imports = {};
+  const files = new Set();
+  const walk = (file) => {
+    if (files.has(file) || !fs.existsSync(path.join(NODE_MODULES, file))) return;
+    files.add(file);
+    const src = fs.readFileSync(path.join(NODE_MODULES, file), "utf8");
+    for (const [, spec] of src.matchAll(IMPORT_RE)) {
+      if (spec.startsWith(".")) walk(path.posix.join(path.posix.dirname(file), spec));
+      else addBare(spec);
+    }
+  };
+  // import-looking lines in doc comments may name modules that don't exist; those are skipped
+  const addBare = (spec) => {
+    if (spec in imports) return;
+    const file = resolveVendor(spec);
+    if (!file || !fs.existsSync(path.join(NODE_MODULES, file))) return;
+    imports[spec] = `/vendor/${file}`;
+    walk(file);
+  };
+  entries.forEach(addBare);
+  return { imports, files };
+}
+const vendor = vendorGraph(VENDOR_ENTRIES);
+const importMapTag = `<script type="importmap">${JSON.stringify({ imports: vendor.imports })}</script>`;
+
+// the service worker precaches these
+app.get("/vendor/manifest.json", (_req, res) => res.json({ files: [...vendor.files].map((f) => `/vendor/${f}`) }));
+app.get(/^\/vendor\/(.+)$/, (req, res) => {
+  if (!vendor.files.has(req.params[0])) return res.status(404).json({ error: "Not found" });
+  res.type("text/javascript").sendFile(path.join(NODE_MODULES, req.params[0]));
 });
 
 // --------------------------------------------------
@@ -78,23 +905,56 @@ app.get("/", (_req, res) => res.sendFile(path.join(__dirname, "public", "index.h
 app.get("/room/:roomId", (req, res) => {
   if (!req.session.user) {
     const id = encodeURIComponent(req.params.roomId);
-    return res.redirect(302, `/?room=${id}&needLogin=1`);
+    const token = typeof req.query.token === "string" ? `&token=${encodeURIComponent(req.query.token)}` : "";
+    return res.redirect(302, `/?room=${id}&needLogin=1${token}`);
   }
-  res.sendFile(path.join(__dirname, "public", "room.html"));
+  const html = fs.readFileSync(path.join(__dirname, "public", "room.html"), "utf8");
+  res.type("html").send(html.replace("<!-- importmap -->", importMapTag));
+});
+
+// admins only; the page calls /api/admin
+app.get("/admin", (req, res) => {
+  if (!req.session.user) return res.redirect(302, "/");
+  if (!isAdmin(req.session.user.username)) return res.status(403).json({ error: "Admins only" });
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
 });
 
-app.get("/health", (_req, res) => res.json({ ok: true }));
 app.get("/docs", (_req, res) =>
   res.json({
     about: "Canvas JSON format & API endpoints",
     routes: [
-      "GET /, GET /room/:id (auth-gated), GET /health, GET /docs",
+      "GET /, GET /room/:id (auth-gated), GET /health (readiness), GET /docs",
+      "GET /metrics (Prometheus; admins or Authorization: Bearer METRICS_TOKEN)",
+      "GET /admin, GET /api/admin/rooms (?q=&limit=), POST /api/admin/rooms/:room/kick|close, DELETE /api/admin/rooms/:room (admins)",
+      "GET /vendor/manifest.json, GET /vendor/<package file> (client libraries), GET /sw.js",
       "GET /auth/me, POST /auth/register, POST /auth/login, POST /auth/logout",
+      "POST /auth/password*, DELETE /auth/account*",
       "GET /api/drawings, POST /api/drawings*, GET /api/drawings/:id, PUT /api/drawings/:id*, DELETE /api/drawings/:id*",
-      "GET /api/stats, POST /api/drawings/:id/png*",
-      "GET /api/rooms  (active rooms + peers)"
+      "GET /api/drawings/:id/collaborators, PUT|DELETE /api/drawings/:id/collaborators/:username*",
+      "GET /api/drawings/:id/revisions, GET /api/drawings/:id/revisions/:rev, POST /api/drawings/:id/revisions/:rev/restore*",
+      "GET /api/drawings/:id/compare?from=&to=, GET /api/drawings/:id/timeline",
+      "GET /api/stats, POST /api/drawings/:id/png* (refresh thumbnail)",
+      "GET /api/drawings/:id.svg, GET /api/drawings/:id.png  (?scale=&crop=x,y,w,h&background=)",
+      "GET /api/drawings/:id/thumbnail.png",
+      "POST /api/images* (raw image/png or image/jpeg body), GET /api/images/:id",
+      "GET /api/rooms*  (active rooms you belong to + peers)",
+      "GET /api/rooms/directory*  (?q=&sort=recent|popular|created|title&status=active|archived|all&page=&limit=)",
+      "POST /api/rooms*, PATCH /api/rooms/:room* (title, description, archived), DELETE /api/rooms/:room*",
+      "POST /api/rooms/:room/snapshot* (room -> new drawing), POST /api/drawings/:id/fork* (drawing -> new room)",
+      "GET /api/rooms/:room/export.svg*",
+      "POST /api/rooms/:room/chat*, POST /api/rooms/:room/comments*, POST /api/rooms/:room/comments/:id/replies*",
+      "PATCH /api/rooms/:room/comments/:id* (resolved), DELETE /api/rooms/:room/comments/:id*",
+      "GET /api/rooms/:room/access*, POST /api/rooms/:room/join*, POST /api/rooms/:room/token*",
+      "GET /api/rooms/:room/strokes*, POST /api/rooms/:room/strokes* ({ strokes }), DELETE /api/rooms/:room/strokes* (clear)",
+      "GET|POST /api/rooms/:room/webhooks*, DELETE /api/rooms/:room/webhooks/:id*, GET /api/rooms/:room/webhooks/:id/deliveries* (owner)",
+      "PUT|DELETE /api/rooms/:room/members/:username*",
+      "WS /yjs/:room (session cookie + room membership required)"
     ],
-    note: "* requires auth"
+    note: "* requires auth; drawings are private, unlisted or public, with viewer/editor collaborators",
+    limits:
+      "auth and /api/drawings are rate limited (429 + Retry-After); sockets close with 1009 (message too big), " +
+      "4429 (too many messages), 4413 (room quota: strokes, bytes, points per stroke), " +
+      "4422 (edits chat or comments, which go through the API), 4401 (kicked by an admin)"
   })
 );
 
@@ -105,18 +965,27 @@ app.get("/auth/me", (req, res) => {
   // avoid any stale cached responses
   res.set("Cache-Control", "no-store");
   if (req.session.user)
-    return res.json({ authenticated: true, username: req.session.user.username });
+    return res.json({ authenticated: true, username: req.session.user.username, admin: isAdmin(req.session.user.username) });
   res.json({ authenticated: false });
 });
 
 app.post(
   "/auth/register",
+  limitAuth,
   safe(async (req, res) => {
-    const { username, password } = req.body || {};
-    if (!username || !password) return res.status(400).json({ error: "Username & password required" });
-    if (users.has(username)) return res.status(409).json({ error: "User exists" });
+    const { username, password } = RegisterSchema.parse(req.body ?? {});
+    if (findUser(username)) return res.status(409).json({ error: "User exists" });
     const hash = await bcrypt.hash(password, 12);
-    users.set(username, { username, hash });
+    const now = new Date().toISOString();
+    try {
+      db.prepare(`INSERT INTO users (username,hash,created_at,updated_at) VALUES (?,?,?,?)`)
+        .run(username, hash, now, now);
+    } catch (err) {
+      // a concurrent registration took the name while we were hashing
+      if (err.code === "SQLITE_CONSTRAINT_PRIMARYKEY" || err.code === "SQLITE_CONSTRAINT_UNIQUE")
+        return res.status(409).json({ error: "User exists" });
+      throw err;
+    }
     req.session.regenerate((err) => {
       if (err) return res.status(500).json({ error: "Session error" });
       req.session.user = { username };
@@ -127,20 +996,91 @@ app.post(
 
 app.post(
   "/auth/login",
+  limitAuth,
   safe(async (req, res) => {
-    const { username, password } = req.body || {};
-    const u = users.get(username);
-    if (!u) return res.status(401).json({ error: "Invalid credentials" });
-    const ok = await bcrypt.compare(password, u.hash);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    const { username, password } = LoginSchema.parse(req.body ?? {});
+    const account = username.toLowerCase();
+    const wait = loginFailures.blocked(account);
+    if (wait) {
+      authFailures.inc({ reason: "throttled" });
+      return tooManyRequests(res, wait, "Too many failed logins for this account, try again later");
+    }
+    const u = findUser(username);
+    if (!u || !(await bcrypt.compare(password, u.hash))) {
+      loginFailures.hit(account);
+      authFailures.inc({ reason: "invalid_credentials" });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    loginFailures.reset(account);
     req.session.regenerate((err) => {
       if (err) return res.status(500).json({ error: "Session error" });
-      req.session.user = { username };
-      res.json({ ok: true, username });
+      req.session.user = { username: u.username };
+      res.json({ ok: true, username: u.username });
     });
   })
 );
 
+app.post(
+  "/auth/password",
+  requireAuth,
+  limitAuth,
+  safe(async (req, res) => {
+    const { currentPassword, newPassword } = PasswordChangeSchema.parse(req.body ?? {});
+    const account = req.session.user.username.toLowerCase();
+    const wait = loginFailures.blocked(account);
+    if (wait) {
+      authFailures.inc({ reason: "throttled" });
+      return tooManyRequests(res, wait, "Too many failed logins for this account, try again later");
+    }
+    const u = findUser(req.session.user.username);
+    if (!u || !(await bcrypt.compare(currentPassword, u.hash))) {
+      loginFailures.hit(account);
+      authFailures.inc({ reason: "invalid_credentials" });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    loginFailures.reset(account);
+    const hash = await bcrypt.hash(newPassword, 12);
+    db.prepare(`UPDATE users SET hash=?, updated_at=? WHERE username=?`)
+      .run(hash, new Date().toISOString(), u.username);
+    sessionStore.destroyUser(u.username, req.sessionID); // sign out other devices
+    res.json({ ok: true, username: u.username });
+  })
+);
+
+app.delete(
+  "/auth/account",
+  requireAuth,
+  limitAuth,
+  safe(async (req, res) => {
+    const { password } = AccountDeleteSchema.parse(req.body ?? {});
+    const account = req.session.user.username.toLowerCase();
+    const wait = loginFailures.blocked(account);
+    if (wait) {
+      authFailures.inc({ reason: "throttled" });
+      return tooManyRequests(res, wait, "Too many failed logins for this account, try again later");
+    }
+    const u = findUser(req.session.user.username);
+    if (!u || !(await bcrypt.compare(password, u.hash))) {
+      loginFailures.hit(account);
+      authFailures.inc({ reason: "invalid_credentials" });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    loginFailures.reset(account);
+    deleteAccount(u.username);
+    sessionStore.destroyUser(u.username);
+    req.session.destroy(() => res.json({ ok: true }));
+  })
+);
+
+// removes the user together with the drawings and rooms they own and their memberships
+const deleteAccount = db.transaction((username) => {
+  for (const { id } of db.prepare(`SELECT id FROM drawings WHERE owner=?`).all(username)) deleteDrawing(id);
+  db.prepare(`DELETE FROM drawing_collaborators WHERE username=?`).run(username);
+  for (const { name } of db.prepare(`SELECT name FROM rooms WHERE owner=?`).all(username)) deleteRoom(name);
+  db.prepare(`DELETE FROM room_members WHERE username=?`).run(username);
+  db.prepare(`DELETE FROM users WHERE username=?`).run(username);
+});
+
 app.post("/auth/logout", (req, res) => {
   req.session.destroy(() => res.json({ ok: true }));
 });
@@ -148,11 +1088,53 @@ app.post("/auth/logout", (req, res) => {
 // --------------------------------------------------
 // Drawings API
 // --------------------------------------------------
-app.get("/api/drawings", (_req, res) => {
+// every request counts per address, and each signed-in user's writes count on their own too
+app.use("/api/drawings", rateLimit(drawingRequests, (req) => req.ip), (req, res, next) =>
+  req.method === "GET" ? next() : limitDrawingWrites(req, res, next)
+);
+// --- permissions: private (owner + collaborators), unlisted (anyone with the id), public (listed)
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// role of `username` on a drawing row: "owner" | "editor" | "viewer" | null (no access).
+// Rows saved before ownership existed have no owner; admins manage those as owners.
+function drawingRole(row, username) {
+  if (username && row.owner === username) return "owner";
+  if (row.owner === null && isAdmin(username)) return "owner";
+  if (username) {
+    const c = db.prepare(`SELECT role FROM drawing_collaborators WHERE drawing_id=? AND username=?`)
+      .get(row.id, username);
+    if (c) return c.role;
+  }
+  return row.visibility === "private" ? null : "viewer";
+}
+
+// Loads req.drawing and checks the caller's role. Drawings the caller cannot see are
+// reported as 404 so their existence isn't leaked; visible but insufficient role is 403.
+const drawingAccess = (minRole) => (req, res, next) => {
+  const row = db.prepare(`SELECT * FROM drawings WHERE id=?`).get(req.params.id);
+  const role = row ? drawingRole(row, req.session.user?.username) : null;
+  if (!role) return res.status(404).json({ error: "Not found" });
+  if (ROLE_RANK[role] < ROLE_RANK[minRole]) return res.status(403).json({ error: "Forbidden" });
+  req.drawing = row;
+  req.drawingRole = role;
+  next();
+};
+
+// public drawings plus everything the caller owns or collaborates on (unlisted stay hidden)
+app.get("/api/drawings", (req, res) => {
+  const username = req.session.user?.username ?? null;
   const rows = db
-    .prepare(`SELECT id,title,created_at,updated_at FROM drawings ORDER BY updated_at DESC`)
-    .all();
-  res.json(rows);
+    .prepare(
+      `SELECT d.id, d.title, d.owner, d.visibility, d.created_at, d.updated_at,
+              CASE WHEN d.owner = :u OR (d.owner IS NULL AND :admin) THEN 'owner'
+                   ELSE COALESCE(c.role, 'viewer') END AS role
+       FROM drawings d
+       LEFT JOIN drawing_collaborators c ON c.drawing_id = d.id AND c.username = :u
+       WHERE d.visibility = 'public' OR d.owner = :u OR c.role IS NOT NULL
+       ORDER BY d.updated_at DESC`
+    )
+    .all({ u: username, admin: isAdmin(username) ? 1 : 0 });
+  res.json(rows.map((r) => ({ ...r, thumbnail: `/api/drawings/${r.id}/thumbnail.png` })));
 });
 
 app.post(
@@ -160,36 +1142,210 @@ app.post(
   requireAuth,
   safe(async (req, res) => {
     const parsed = DrawingSchema.parse(req.body);
-    const id = crypto.randomUUID();
-    const now = new Date().toISOString();
-    db.prepare(`INSERT INTO drawings (id,title,json,created_at,updated_at) VALUES (?,?,?,?,?)`)
-      .run(id, parsed.title, JSON.stringify(parsed), now, now);
-    res.status(201).json({ id });
+    const { visibility = "private" } = DrawingMetaSchema.parse(req.body);
+    res.status(201).json(createDrawing(parsed, req.session.user.username, visibility));
   })
 );
 
-app.get("/api/drawings/:id", (req, res) => {
-  const row = db.prepare(`SELECT json FROM drawings WHERE id=?`).get(req.params.id);
-  if (!row) return res.status(404).json({ error: "Not found" });
-  res.json(JSON.parse(row.json));
+// stores a validated drawing as a new row with its first revision; returns { id, rev }
+function createDrawing(drawing, owner, visibility) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const json = JSON.stringify(drawing);
+  const rev = db.transaction(() => {
+    db.prepare(
+      `INSERT INTO drawings (id,title,json,created_at,updated_at,owner,visibility) VALUES (?,?,?,?,?,?,?)`
+    ).run(id, drawing.title, json, now, now, owner, visibility);
+    return addRevision(id, json, owner, now);
+  })();
+  return { id, rev };
+}
+
+// registered before /api/drawings/:id, which would otherwise capture "<id>.svg"
+app.get("/api/drawings/:id.:format(svg|png)", drawingAccess("viewer"), (req, res) => {
+  const opts = RenderQuerySchema.parse(req.query);
+  const drawing = JSON.parse(req.drawing.json);
+  const view = opts.crop ?? { w: drawing.size.w, h: drawing.size.h };
+  const scale = opts.scale ?? 1;
+  if (view.w * scale > MAX_RENDER_SIDE || view.h * scale > MAX_RENDER_SIDE)
+    return res.status(400).json({ error: `Rendered image must be at most ${MAX_RENDER_SIDE}px per side` });
+  const svg = drawingToSVG(drawing, opts);
+  res.set("Cache-Control", "private, no-cache");
+  if (req.params.format === "svg") return res.type("image/svg+xml").send(svg);
+  res.type("image/png").send(svgToPNG(svg));
+});
+
+// small PNG preview, cached per revision so list views don't re-render on every request; tall
+// pages are scaled down further so neither side goes over MAX_RENDER_SIDE (drawings stored before
+// sizes were capped can be arbitrarily long)
+const THUMB_WIDTH = 240;
+function drawingThumbnail(row) {
+  const { rev } = db.prepare(`SELECT MAX(rev) AS rev FROM drawing_revisions WHERE drawing_id=?`).get(row.id);
+  const cached = db.prepare(`SELECT rev, png FROM drawing_thumbnails WHERE drawing_id=?`).get(row.id);
+  if (cached && cached.rev === rev) return cached.png;
+  const drawing = JSON.parse(row.json);
+  const scale = Math.min(1, THUMB_WIDTH / drawing.size.w, MAX_RENDER_SIDE / drawing.size.h);
+  const png = svgToPNG(drawingToSVG(drawing, { scale }));
+  db.prepare(`INSERT OR REPLACE INTO drawing_thumbnails (drawing_id,rev,png) VALUES (?,?,?)`).run(row.id, rev ?? 0, png);
+  return png;
+}
+
+app.get("/api/drawings/:id/thumbnail.png", drawingAccess("viewer"), (req, res) => {
+  res.set("Cache-Control", "private, no-cache");
+  res.type("image/png").send(drawingThumbnail(req.drawing));
+});
+
+app.get("/api/drawings/:id", drawingAccess("viewer"), (req, res) => {
+  res.json(JSON.parse(req.drawing.json));
 });
 
 app.put(
   "/api/drawings/:id",
   requireAuth,
+  drawingAccess("editor"),
   safe(async (req, res) => {
     const partial = DrawingSchema.partial().parse(req.body);
-    const existing = db.prepare(`SELECT json FROM drawings WHERE id=?`).get(req.params.id);
-    if (!existing) return res.status(404).json({ error: "Not found" });
-    const merged = { ...JSON.parse(existing.json), ...partial };
-    db.prepare(`UPDATE drawings SET json=?, title=?, updated_at=? WHERE id=?`)
-      .run(JSON.stringify(merged), merged.title ?? "(untitled)", new Date().toISOString(), req.params.id);
-    res.json({ ok: true });
+    const { visibility } = DrawingMetaSchema.parse(req.body);
+    if (visibility && req.drawingRole !== "owner")
+      return res.status(403).json({ error: "Only the owner can change visibility" });
+    const merged = { ...JSON.parse(req.drawing.json), ...partial };
+    const rev = updateDrawing(req.drawing, merged, req.session.user.username, visibility);
+    res.json({ ok: true, rev });
+  })
+);
+
+// --- revisions: every save is kept as a numbered, attributed snapshot
+function addRevision(drawingId, json, author, createdAt) {
+  const { next } = db
+    .prepare(`SELECT COALESCE(MAX(rev), 0) + 1 AS next FROM drawing_revisions WHERE drawing_id=?`)
+    .get(drawingId);
+  db.prepare(`INSERT INTO drawing_revisions (drawing_id,rev,json,author,created_at) VALUES (?,?,?,?,?)`)
+    .run(drawingId, next, json, author, createdAt);
+  return next;
+}
+
+// overwrite the current drawing and record it as a new revision; returns the revision number
+const updateDrawing = db.transaction((row, drawing, author, visibility = row.visibility) => {
+  const json = JSON.stringify(drawing);
+  const now = new Date().toISOString();
+  db.prepare(`UPDATE drawings SET json=?, title=?, visibility=?, updated_at=? WHERE id=?`)
+    .run(json, drawing.title ?? "(untitled)", visibility, now, row.id);
+  return addRevision(row.id, json, author, now);
+});
+
+const getRevision = (drawingId, rev) =>
+  db.prepare(`SELECT * FROM drawing_revisions WHERE drawing_id=? AND rev=?`).get(drawingId, rev);
+
+app.get("/api/drawings/:id/revisions", drawingAccess("viewer"), (req, res) => {
+  const rows = db
+    .prepare(`SELECT rev, author, created_at, json FROM drawing_revisions WHERE drawing_id=? ORDER BY rev DESC`)
+    .all(req.drawing.id);
+  res.json(
+    rows.map(({ json, ...r }) => {
+      const d = JSON.parse(json);
+      return { ...r, title: d.title, strokes: d.strokes?.length ?? 0 };
+    })
+  );
+});
+
+app.get("/api/drawings/:id/revisions/:rev", drawingAccess("viewer"), (req, res) => {
+  const row = getRevision(req.drawing.id, RevisionParamSchema.parse(req.params.rev));
+  if (!row) return res.status(404).json({ error: "Revision not found" });
+  res.json({ rev: row.rev, author: row.author, created_at: row.created_at, drawing: JSON.parse(row.json) });
+});
+
+// restoring never rewrites history: the old state comes back as a new revision
+app.post("/api/drawings/:id/revisions/:rev/restore", requireAuth, drawingAccess("editor"), (req, res) => {
+  const row = getRevision(req.drawing.id, RevisionParamSchema.parse(req.params.rev));
+  if (!row) return res.status(404).json({ error: "Revision not found" });
+  const rev = updateDrawing(req.drawing, JSON.parse(row.json), req.session.user.username);
+  res.json({ ok: true, rev, restoredFrom: row.rev });
+});
+
+// Strokes added/removed/changed between two revisions (defaults: latest vs. the one before it).
+app.get("/api/drawings/:id/compare", drawingAccess("viewer"), (req, res) => {
+  const q = CompareQuerySchema.parse(req.query);
+  const latest = db.prepare(`SELECT MAX(rev) AS rev FROM drawing_revisions WHERE drawing_id=?`).get(req.drawing.id).rev;
+  const to = q.to ?? latest;
+  const from = q.from ?? Math.max(1, to - 1);
+  const a = getRevision(req.drawing.id, from);
+  const b = getRevision(req.drawing.id, to);
+  if (!a || !b) return res.status(404).json({ error: "Revision not found" });
+  res.json({ from, to, ...diffStrokes(JSON.parse(a.json).strokes, JSON.parse(b.json).strokes) });
+});
+
+// strokes in the order they were drawn, with playback offsets (see strokeTimeline in render.js)
+app.get("/api/drawings/:id/timeline", drawingAccess("viewer"), (req, res) => {
+  const { title, strokes } = JSON.parse(req.drawing.json);
+  const timeline = strokeTimeline(strokes).map((e) => ({ ...e, id: strokes[e.index].id ?? null, tool: strokes[e.index].tool }));
+  const authors = new Map();
+  timeline.forEach((e) => authors.set(e.author, (authors.get(e.author) ?? 0) + 1));
+  const last = timeline.at(-1);
+  res.json({
+    id: req.drawing.id,
+    title,
+    duration: last ? last.offset + last.duration : 0,
+    authors: Array.from(authors, ([name, count]) => ({ name, strokes: count })),
+    strokes: timeline
+  });
+});
+
+// Strokes with an id are matched by id (and reported as changed when edited); older strokes
+// without one are matched by content.
+function diffStrokes(before = [], after = []) {
+  const key = (s) => (s.id ? `id:${s.id}` : JSON.stringify(s));
+  const pending = new Map(); // key -> indexes in `before` not yet matched
+  before.forEach((s, i) => pending.set(key(s), [...(pending.get(key(s)) ?? []), i]));
+  const added = [];
+  const changed = [];
+  after.forEach((s, index) => {
+    const left = pending.get(key(s));
+    if (!left?.length) return added.push({ index, stroke: s });
+    const was = before[left.shift()];
+    if (s.id && JSON.stringify(was) !== JSON.stringify(s)) changed.push({ index, before: was, stroke: s });
+  });
+  const removed = [...pending.values()].flat().sort((x, y) => x - y).map((index) => ({ index, stroke: before[index] }));
+  return { added, removed, changed, unchanged: after.length - added.length - changed.length };
+}
+
+const deleteDrawing = db.transaction((id) => {
+  db.prepare(`DELETE FROM drawing_thumbnails WHERE drawing_id=?`).run(id);
+  db.prepare(`DELETE FROM drawing_revisions WHERE drawing_id=?`).run(id);
+  db.prepare(`DELETE FROM drawing_collaborators WHERE drawing_id=?`).run(id);
+  db.prepare(`DELETE FROM drawings WHERE id=?`).run(id);
+});
+
+app.delete("/api/drawings/:id", requireAuth, drawingAccess("owner"), (req, res) => {
+  deleteDrawing(req.drawing.id);
+  res.json({ ok: true });
+});
+
+// --- collaborators (owner manages; anyone who can see the drawing can list them)
+app.get("/api/drawings/:id/collaborators", drawingAccess("viewer"), (req, res) => {
+  const collaborators = db
+    .prepare(`SELECT username, role FROM drawing_collaborators WHERE drawing_id=? ORDER BY username`)
+    .all(req.drawing.id);
+  res.json({ owner: req.drawing.owner, visibility: req.drawing.visibility, collaborators });
+});
+
+app.put(
+  "/api/drawings/:id/collaborators/:username",
+  requireAuth,
+  drawingAccess("owner"),
+  safe(async (req, res) => {
+    const { role } = CollaboratorSchema.parse(req.body);
+    const u = findUser(req.params.username);
+    if (!u) return res.status(404).json({ error: "User not found" });
+    if (u.username === req.drawing.owner) return res.status(400).json({ error: "Owner cannot be a collaborator" });
+    db.prepare(`INSERT OR REPLACE INTO drawing_collaborators (drawing_id,username,role) VALUES (?,?,?)`)
+      .run(req.drawing.id, u.username, role);
+    res.json({ ok: true, username: u.username, role });
   })
 );
 
-app.delete("/api/drawings/:id", requireAuth, (req, res) => {
-  db.prepare(`DELETE FROM drawings WHERE id=?`).run(req.params.id);
+app.delete("/api/drawings/:id/collaborators/:username", requireAuth, drawingAccess("owner"), (req, res) => {
+  db.prepare(`DELETE FROM drawing_collaborators WHERE drawing_id=? AND username=?`)
+    .run(req.drawing.id, req.params.username);
   res.json({ ok: true });
 });
 
@@ -199,43 +1355,273 @@ app.get("/api/stats", (_req, res) => {
   res.json({ count, lastUpdated: last?.updated_at ?? null });
 });
 
-app.post("/api/drawings/:id/png", requireAuth, (req, res) => {
-  const { dataUrl } = req.body || {};
-  if (!/^data:image\/png;base64,/.test(dataUrl || ""))
-    return res.status(400).json({ error: "Invalid PNG dataUrl" });
-  res.json({ ok: true });
+// Re-renders the cached thumbnail from the stored JSON. A client-supplied dataUrl is no longer
+// needed (or trusted); images always come from the server renderer.
+app.post("/api/drawings/:id/png", requireAuth, drawingAccess("editor"), (req, res) => {
+  db.prepare(`DELETE FROM drawing_thumbnails WHERE drawing_id=?`).run(req.drawing.id);
+  drawingThumbnail(req.drawing);
+  const base = `/api/drawings/${req.drawing.id}`;
+  res.json({ ok: true, png: `${base}.png`, svg: `${base}.svg`, thumbnail: `${base}/thumbnail.png` });
+});
+
+// --------------------------------------------------
+// Images API (bytes for image strokes; raw PNG/JPEG bodies, not JSON)
+// --------------------------------------------------
+app.post(
+  "/api/images",
+  requireAuth,
+  limitDrawingWrites,
+  express.raw({ type: ["image/png", "image/jpeg"], limit: IMAGE_MAX_BYTES }),
+  (req, res) => {
+    const mime = Buffer.isBuffer(req.body) ? imageMime(req.body) : null;
+    if (!mime) return res.status(415).json({ error: "Upload a PNG or JPEG image" });
+    const id = crypto.createHash("sha256").update(req.body).digest("hex");
+    db.prepare(`INSERT OR IGNORE INTO images (id,mime,data,size,owner,created_at) VALUES (?,?,?,?,?,?)`)
+      .run(id, mime, req.body, req.body.length, req.session.user.username, new Date().toISOString());
+    res.status(201).json({ id, url: `/api/images/${id}`, mime, size: req.body.length });
+  }
+);
+
+// anyone holding the URL may fetch it, like an unlisted drawing; the bytes never change
+app.get("/api/images/:id", (req, res) => {
+  const img = db.prepare(`SELECT mime, data FROM images WHERE id=?`).get(req.params.id);
+  if (!img) return res.status(404).json({ error: "Not found" });
+  res.set("Cache-Control", "public, max-age=31536000, immutable");
+  res.type(img.mime).send(img.data);
 });
 
 // --------------------------------------------------
 // Yjs WebSocket server (collaboration) + room directory
 // --------------------------------------------------
-const wss = new WebSocketServer({ noServer: true });
-const rooms = new Map(); // name -> { doc, awareness, conns:Set }
+const WS_MAX_MESSAGE_BYTES = Number(process.env.WS_MAX_MESSAGE_BYTES) || 4 * 1024 * 1024;
+const WS_MAX_MESSAGES = Number(process.env.WS_MAX_MESSAGES) || 600; // per connection per window
+const WS_RATE_WINDOW_MS = 10_000;
+// bigger messages are refused by ws itself, which closes the socket with 1009
+const wss = new WebSocketServer({ noServer: true, maxPayload: WS_MAX_MESSAGE_BYTES });
+const rooms = new Map(); // name -> { doc, awareness, conns:Set, stored, bytes, idleTimer, awarenessOwners }
 const MSG_SYNC = 0;
 const MSG_AWARENESS = 1;
+const CLOSE_ORIGIN = "close"; // awareness removals for a socket that went away
 
-function getRoom(name) {
-  let r = rooms.get(name);
-  if (r) return r;
-
-  const doc = new Y.Doc();
-  const awareness = new awarenessProtocol.Awareness(doc);
-  const conns = new Set();
+// Several server processes can serve the same room from one SQLite file. Each change a process
+// makes to its copy of a room (a Yjs update or presence from one of its sockets) is stored by
+// that process only, and published on the room's channel; the others apply it with
+// REMOTE_ORIGIN, which relays it to their sockets without storing or publishing it again.
+// A process that loads a room, or gets its broker connection back, publishes a "hello" with its
+// state vector. Processes holding the room answer with the updates it lacks and their clients'
+// presence, plus a hello-back so it can return the favour. Deletes and permission changes are
+// published too. PUBSUB_URL (or REDIS_URL) selects the Redis adapter; without it, the
+// in-process one.
+const SERVER_ID = crypto.randomUUID();
+const REMOTE_ORIGIN = "remote";
+const PUBSUB_URL = process.env.PUBSUB_URL || process.env.REDIS_URL || "";
+const pubsub = PUBSUB_URL ? createRedisPubSub(PUBSUB_URL) : createLocalPubSub();
+const BUS_UPDATE = 0;
+const BUS_AWARENESS = 1;
+const BUS_HELLO = 2;
+const BUS_HELLO_BACK = 3;
+const BUS_DELETE = 4;
+const BUS_REFRESH = 5;
+const BUS_KICK = 6;
+const roomChannel = (name) => `dkin:room:${name}`;
+
+function publishRoom(name, kind, data = new Uint8Array()) {
+  const enc = encoding.createEncoder();
+  encoding.writeVarString(enc, SERVER_ID);
+  encoding.writeVarUint(enc, kind);
+  encoding.writeVarUint8Array(enc, data);
+  pubsub.publish(roomChannel(name), encoding.toUint8Array(enc));
+}
+
+function onRoomMessage(name, msg) {
+  const dec = decoding.createDecoder(msg);
+  if (decoding.readVarString(dec) === SERVER_ID) return;
+  const kind = decoding.readVarUint(dec);
+  const data = decoding.readVarUint8Array(dec);
+  if (kind === BUS_DELETE) return dropDeletedRoom(name);
+  if (kind === BUS_REFRESH) return checkRoomConns(name);
+  if (kind === BUS_KICK) return dropKicked(name, decoding.readVarString(decoding.createDecoder(data)));
+  const r = rooms.get(name);
+  if (!r) return;
+  if (kind === BUS_UPDATE) Y.applyUpdate(r.doc, data, REMOTE_ORIGIN);
+  else if (kind === BUS_AWARENESS) applyRemoteAwareness(r, data);
+  else if (kind === BUS_HELLO || kind === BUS_HELLO_BACK) {
+    const diff = Y.encodeStateAsUpdate(r.doc, data);
+    if (diff.length > 2) publishRoom(name, BUS_UPDATE, diff); // 2 bytes: nothing missing
+    const own = Array.from(r.awarenessOwners)
+      .filter(([id, o]) => o !== REMOTE_ORIGIN && r.awareness.getStates().has(id))
+      .map(([id]) => id);
+    if (own.length) publishRoom(name, BUS_AWARENESS, awarenessProtocol.encodeAwarenessUpdate(r.awareness, own));
+    if (kind === BUS_HELLO) publishRoom(name, BUS_HELLO_BACK, Y.encodeStateVector(r.doc));
+  }
+}
+
+// presence from another process: its client ids can't be claimed by our sockets until removed
+function applyRemoteAwareness(r, update) {
+  for (const { clientID, state } of readAwarenessEntries(update)) {
+    const owner = r.awarenessOwners.get(clientID);
+    if (owner && owner !== REMOTE_ORIGIN) continue;
+    if (state) r.awarenessOwners.set(clientID, REMOTE_ORIGIN);
+    else r.awarenessOwners.delete(clientID);
+  }
+  awarenessProtocol.applyAwarenessUpdate(r.awareness, update, REMOTE_ORIGIN);
+}
+
+// messages published while the broker was unreachable are lost, so catch up on every room
+pubsub.onReconnect(() => {
+  for (const [name, r] of rooms) publishRoom(name, BUS_HELLO, Y.encodeStateVector(r.doc));
+});
+
+function getRoom(name) {
+  let r = rooms.get(name);
+  if (r) {
+    clearTimeout(r.idleTimer);
+    r.closing = false;
+    return r;
+  }
+
+  // stored state is applied synchronously, so it is in place before the first sendSync
+  const doc = new Y.Doc();
+  const stored = roomStore.load(name, doc);
+  const awareness = new awarenessProtocol.Awareness(doc);
+  const conns = new Set();
+
+  // persist and publish every change made here, and relay every change to our peers in the room
+  doc.on("update", (update, origin, _doc, tr) => {
+    if (origin === STORE_ORIGIN) return;
+    if (origin !== REMOTE_ORIGIN) {
+      roomStore.append(name, update);
+      r.bytes += update.length;
+      db.prepare(`UPDATE rooms SET last_active_at=?, stroke_count=? WHERE name=?`)
+        .run(new Date().toISOString(), doc.getArray("strokes").length, name);
+      if (++r.stored >= ROOM_COMPACT_AFTER) {
+        roomStore.compact(name, doc);
+        r.stored = 1;
+        r.bytes = roomStore.size(name);
+      }
+      publishRoom(name, BUS_UPDATE, update);
+    }
+    const enc = encoding.createEncoder();
+    encoding.writeVarUint(enc, MSG_SYNC);
+    syncProtocol.writeUpdate(enc, update);
+    const buf = encoding.toUint8Array(enc);
+    // a socket's own change comes back to it only when the server corrected it (see stampStrokes)
+    for (const ws of conns)
+      if ((ws !== origin || tr.meta.has(RESTAMPED)) && ws.readyState === ws.OPEN) ws.send(buf);
+  });
 
   awareness.on("update", ({ added, updated, removed }, origin) => {
     const changed = added.concat(updated, removed);
+    // ids of remote clients that timed out here may be claimed again (say, after a failover)
+    for (const id of removed) if (r.awarenessOwners.get(id) === REMOTE_ORIGIN) r.awarenessOwners.delete(id);
+    const update = awarenessProtocol.encodeAwarenessUpdate(awareness, changed);
+    // only presence from our own sockets goes out; timeouts are decided by each process alone
+    if (conns.has(origin) || origin === CLOSE_ORIGIN) publishRoom(name, BUS_AWARENESS, update);
     const enc = encoding.createEncoder();
     encoding.writeVarUint(enc, MSG_AWARENESS);
-    encoding.writeVarUint8Array(enc, awarenessProtocol.encodeAwarenessUpdate(awareness, changed));
+    encoding.writeVarUint8Array(enc, update);
     const buf = encoding.toUint8Array(enc);
     for (const ws of conns) if (ws !== origin && ws.readyState === ws.OPEN) ws.send(buf);
   });
 
-  r = { doc, awareness, conns };
+  r = {
+    doc, awareness, conns, stored, bytes: roomStore.size(name), idleTimer: null, closing: false,
+    awarenessOwners: new Map(), loadedAt: Date.now()
+  };
   rooms.set(name, r);
+  upgradeLegacyStrokes(doc);
+  observeRoomEvents(name, doc);
+  const onMessage = (msg) => {
+    try {
+      onRoomMessage(name, msg);
+    } catch (err) {
+      console.error(`pubsub message for room ${name}:`, err);
+    }
+  };
+  pubsub.subscribe(roomChannel(name), onMessage).then(() => {
+    if (rooms.get(name) === r) publishRoom(name, BUS_HELLO, Y.encodeStateVector(doc));
+  });
   return r;
 }
 
+// Strokes used to be plain objects in the array; turn them into Y.Maps with ids so they can
+// be selected and edited. Runs on load, before any client syncs, so it can't race a peer.
+function upgradeLegacyStrokes(doc) {
+  const ystrokes = doc.getArray("strokes");
+  if (ystrokes.toArray().every((s) => s instanceof Y.Map)) return;
+  doc.transact(() => {
+    for (let i = ystrokes.length - 1; i >= 0; i--) {
+      const s = ystrokes.get(i);
+      if (s instanceof Y.Map) continue;
+      const m = new Y.Map();
+      Object.entries({ ...s, id: s.id || crypto.randomUUID() }).forEach(([k, v]) => m.set(k, v));
+      ystrokes.delete(i, 1);
+      ystrokes.insert(i, [m]);
+    }
+  });
+}
+
+// compact and drop a room from memory once nobody has been connected for ROOM_IDLE_MS
+// (right away for a room an admin closed)
+function scheduleUnload(name) {
+  const r = rooms.get(name);
+  if (!r || r.conns.size) return;
+  clearTimeout(r.idleTimer);
+  r.idleTimer = setTimeout(() => {
+    if (r.conns.size || rooms.get(name) !== r) return;
+    if (r.stored > 1) roomStore.compact(name, r.doc);
+    pubsub.unsubscribe(roomChannel(name));
+    r.awareness.destroy();
+    r.doc.destroy();
+    rooms.delete(name);
+  }, r.closing ? 0 : ROOM_IDLE_MS);
+}
+
+// Disconnects `username` from a room (everyone when empty) in every process, with 4401 so the
+// client doesn't reconnect by itself. Closing the room also unloads it once the sockets are gone.
+// Returns how many sockets were closed here.
+function kickFromRoom(name, username = "") {
+  const enc = encoding.createEncoder();
+  encoding.writeVarString(enc, username);
+  publishRoom(name, BUS_KICK, encoding.toUint8Array(enc));
+  return dropKicked(name, username);
+}
+function dropKicked(name, username) {
+  const r = rooms.get(name);
+  if (!r) return 0;
+  if (!username) r.closing = true;
+  const kicked = Array.from(r.conns).filter((ws) => !username || ws.username.toLowerCase() === username.toLowerCase());
+  const reason = username ? "Removed by an admin" : "Room closed by an admin";
+  kicked.forEach((ws) => dropConnection(ws, name, 4401, reason));
+  scheduleUnload(name);
+  return kicked.length;
+}
+
+// Removes a room with its members and stored updates. Live peers (here and in other processes)
+// are disconnected with 4404 and the in-memory doc is dropped without the usual compaction, so
+// nothing is written back.
+function deleteRoom(name) {
+  deleteWebhooks(name);
+  db.prepare(`DELETE FROM room_members WHERE room=?`).run(name);
+  db.prepare(`DELETE FROM room_updates WHERE room=?`).run(name);
+  db.prepare(`DELETE FROM rooms WHERE name=?`).run(name);
+  publishRoom(name, BUS_DELETE);
+  dropDeletedRoom(name);
+}
+function dropDeletedRoom(name) {
+  const r = rooms.get(name);
+  if (!r) return;
+  rooms.delete(name);
+  pubsub.unsubscribe(roomChannel(name));
+  clearTimeout(r.idleTimer);
+  for (const ws of r.conns) {
+    ws.readOnly = true; // ignore anything still in flight
+    ws.close(4404, "Room deleted");
+  }
+  r.awareness.destroy();
+  r.doc.destroy();
+}
+
 function sendSync(ws, doc) {
   const enc = encoding.createEncoder();
   encoding.writeVarUint(enc, MSG_SYNC);
@@ -253,52 +1639,351 @@ function sendFullAwareness(ws, awareness) {
   ws.send(encoding.toUint8Array(enc));
 }
 
-function onWSConnection(ws, roomName) {
-  const { doc, awareness, conns } = getRoom(roomName);
+function readAwarenessEntries(update) {
+  const dec = decoding.createDecoder(update);
+  const entries = [];
+  const len = decoding.readVarUint(dec);
+  for (let i = 0; i < len; i++) {
+    const clientID = decoding.readVarUint(dec);
+    const clock = decoding.readVarUint(dec);
+    entries.push({ clientID, clock, state: JSON.parse(decoding.readVarString(dec)) });
+  }
+  return entries;
+}
+
+// Re-encodes an awareness update from `ws`: entries for client ids owned by another
+// connection (or another process) are dropped and `name` is forced to the authenticated username.
+function sanitizeAwarenessUpdate(update, ws, owners) {
+  const entries = [];
+  for (const { clientID, clock, state } of readAwarenessEntries(update)) {
+    const owner = owners.get(clientID);
+    if (owner && owner !== ws) continue;
+    owners.set(clientID, ws);
+    ws.clientIds.add(clientID);
+    if (state) state.name = ws.username;
+    if (state && ws.readOnly) delete state.draft; // viewers can't draw, so no ghost strokes either
+    entries.push({ clientID, clock, state });
+  }
+  const enc = encoding.createEncoder();
+  encoding.writeVarUint(enc, entries.length);
+  for (const { clientID, clock, state } of entries) {
+    encoding.writeVarUint(enc, clientID);
+    encoding.writeVarUint(enc, clock);
+    encoding.writeVarString(enc, JSON.stringify(state));
+  }
+  return encoding.toUint8Array(enc);
+}
+
+// Why a client's update can't go into room `r`, or null. Judged before it is applied, from the
+// structs it brings that the room doesn't have yet: a new Y.Map that isn't set under a key is a
+// stroke pushed onto the "strokes" array (layers and comments are keyed), and no plain array
+// value may be longer than a stroke's points. Deletions in the same update aren't credited.
+function quotaProblem(name, r, update, structs) {
+  if (r.bytes + update.length > ROOM_MAX_BYTES && r.stored > 1) {
+    roomStore.compact(name, r.doc);
+    r.stored = 1;
+    r.bytes = roomStore.size(name);
+  }
+  if (r.bytes + update.length > ROOM_MAX_BYTES) return `Room is full (${ROOM_MAX_BYTES} bytes at most)`;
+  let strokes = 0;
+  for (const s of structs) {
+    if (!(s instanceof Y.Item) || s.id.clock + s.length <= Y.getState(r.doc.store, s.id.client)) continue;
+    if (s.content instanceof Y.ContentType && s.content.type instanceof Y.Map && s.parentSub === null) strokes += 1;
+    if (s.content instanceof Y.ContentAny && s.content.arr.some((v) => Array.isArray(v) && v.length > STROKE_MAX_POINTS))
+      return `Stroke too long (${STROKE_MAX_POINTS} points at most)`;
+  }
+  if (strokes && r.doc.getArray("strokes").length + strokes > ROOM_MAX_STROKES)
+    return `Room is full (${ROOM_MAX_STROKES} strokes at most)`;
+  return null;
+}
+
+// Sockets may only edit strokes and layers; chat and comments go through the REST routes, which
+// stamp the author from the session.
+const SOCKET_ROOTS = new Set(["strokes", "layers"]);
+const typeRoot = (type) => {
+  while (type._item) type = type._item.parent;
+  return Y.findRootTypeKey(type);
+};
+
+// Names of the root types a decoded update would change: those its new items are inserted into
+// (through their parent, or the neighbours they were inserted next to) and those of the items it
+// deletes. A new item whose place can't be found here yields "", so it is never allowed. Items
+// that land in garbage-collected parents are dropped by Yjs and are skipped.
+function updateRoots(doc, { structs, ds }) {
+  const roots = new Set();
+  const pending = new Map(); // client → this update's structs
+  for (const s of structs) {
+    if (!pending.has(s.id.client)) pending.set(s.id.client, []);
+    pending.get(s.id.client).push(s);
+  }
+  const stored = (id) => (id.clock < Y.getState(doc.store, id.client) ? Y.getItem(doc.store, id) : null);
+  const incoming = (id) => {
+    const list = pending.get(id.client);
+    if (!list) return null;
+    try {
+      return list[Y.findIndexSS(list, id.clock)];
+    } catch {
+      return null; // not in this update either
+    }
+  };
+  const known = new Map(); // struct → root name, or null in a garbage-collected parent
+  const rootOf = (start) => {
+    const path = new Set();
+    let s = start;
+    let root = "";
+    while (s) {
+      if (known.has(s)) {
+        root = known.get(s);
+        break;
+      }
+      if (path.has(s)) break; // a cycle: never integrates
+      path.add(s);
+      if (typeof s.parent === "string") {
+        root = s.parent;
+        break;
+      }
+      // an item's parent is the type its parent item holds; without one, it shares a neighbour's parent
+      const id = s.parent ?? s.origin ?? s.rightOrigin;
+      const item = id && stored(id);
+      if (item) {
+        if (!(item instanceof Y.Item)) root = null;
+        else if (s.parent) root = item.content instanceof Y.ContentType ? typeRoot(item.content.type) : null;
+        else root = item.parent ? typeRoot(item.parent) : null;
+        break;
+      }
+      s = id && incoming(id);
+    }
+    path.forEach((p) => known.set(p, root));
+    return root;
+  };
+  for (const s of structs) {
+    if (!(s instanceof Y.Item) || s.id.clock + s.length <= Y.getState(doc.store, s.id.client)) continue;
+    const root = rootOf(s);
+    if (root !== null) roots.add(root);
+  }
+  ds.clients.forEach((ranges, client) => {
+    const list = doc.store.clients.get(client);
+    if (!list) return; // deletes items of this update, or nothing
+    const end = Y.getState(doc.store, client);
+    for (const { clock, len } of ranges) {
+      if (clock >= end) continue;
+      for (let i = Y.findIndexSS(list, clock); i < list.length && list[i].id.clock < clock + len; i++) {
+        const item = list[i];
+        if (item instanceof Y.Item && !item.deleted && item.parent) roots.add(typeRoot(item.parent));
+      }
+    }
+  });
+  return roots;
+}
+
+// A stroke's `author` is whoever added it to the room, whatever the client wrote: strokes a socket
+// adds are credited to its user (re-adding one, as undo and Open… do, credits the re-adder), and
+// `at` is kept only if it falls between the connection's opening and now, otherwise it becomes now.
+// Sockets can't change either key on strokes that were already there. Runs inside the transaction
+// that applied the socket's update, so observers and webhooks only ever see the corrected values.
+const RESTAMPED = "restamped"; // transaction meta: the socket must be sent its corrected update
+function stampStrokes(doc, tr, ws) {
+  const ystrokes = doc.getArray("strokes");
+  const added = [];
+  doc.store.clients.forEach((list, client) => {
+    const before = tr.beforeState.get(client) ?? 0;
+    if (Y.getState(doc.store, client) <= before) return;
+    for (let i = Y.findIndexSS(list, before); i < list.length; i++) {
+      const item = list[i];
+      if (item instanceof Y.Item && !item.deleted && item.parent === ystrokes && item.content instanceof Y.ContentType)
+        added.push(item.content.type);
+    }
+  });
+  const now = Date.now();
+  const fixes = [];
+  for (const m of added) {
+    if (!(m instanceof Y.Map)) continue;
+    const at = Date.parse(m.get("at"));
+    fixes.push([m, "author", ws.username], [m, "at", new Date(at >= ws.openedAt && at <= now ? at : now).toISOString()]);
+  }
+  tr.changed.forEach((keys, type) => {
+    if (!(type instanceof Y.Map) || type._item?.parent !== ystrokes) return;
+    for (const key of ["author", "at"]) if (keys.has(key)) fixes.push([type, key, valueBefore(tr, type, key)]);
+  });
+  let changed = false;
+  for (const [m, key, value] of fixes) {
+    if (m.get(key) === value) continue;
+    if (value === undefined) m.delete(key);
+    else m.set(key, value);
+    changed = true;
+  }
+  if (changed) tr.meta.set(RESTAMPED, true);
+}
+
+// a Y.Map key's value when the transaction started (undefined if it wasn't set)
+function valueBefore(tr, map, key) {
+  let item = map._map.get(key);
+  while (item && item.id.clock >= (tr.beforeState.get(item.id.client) ?? 0)) item = item.left;
+  if (!item || (item.deleted && !Y.isDeleted(tr.deleteSet, item.id))) return undefined;
+  const content = item.content.getContent();
+  return content[content.length - 1];
+}
+
+// closes a socket that broke a limit, telling the client why and logging it
+function dropConnection(ws, roomName, code, reason) {
+  if (ws.readyState !== ws.OPEN) return;
+  console.warn(`room ${roomName}: disconnecting ${ws.username} (${code} ${reason})`);
+  wsDisconnects.inc({ code });
+  ws.readOnly = true; // ignore anything still in flight
+  ws.close(code, reason);
+}
+
+// peer.joined and peer.left are about users across every process serving the room. A socket's user
+// has joined unless another of their sockets here was already counted or another process shows
+// them in presence, and has left when their last counted socket here closes and no other process
+// shows them. Other processes' presence arrives shortly after a room is loaded, so sockets that
+// open in that window are counted PRESENCE_SETTLE_MS after the load. Sockets of one user opened
+// (or closed) on two processes within the broker's latency can still give two joined (or no left).
+const PRESENCE_SETTLE_MS = 1000;
+function presentElsewhere(room, ws) {
+  if (Array.from(room.conns).some((c) => c !== ws && c.counted && c.username === ws.username)) return true;
+  for (const [id, state] of room.awareness.getStates())
+    if (room.awarenessOwners.get(id) === REMOTE_ORIGIN && state?.name === ws.username) return true;
+  return false;
+}
+function countPeer(roomName, room, ws) {
+  if (ws.readyState !== ws.OPEN) return;
+  if (!presentElsewhere(room, ws)) emitRoomEvent(roomName, "peer.joined", { username: ws.username, role: ws.role });
+  ws.counted = true;
+}
+
+function onWSConnection(ws, roomName, { username, role, readOnly }) {
+  const room = getRoom(roomName);
+  const { doc, awareness, conns } = room;
+  ws.username = username;
+  ws.role = role;
+  ws.readOnly = readOnly;
+  ws.clientIds = new Set();
+  ws.openedAt = Date.now();
+  ws.messages = 0;
+  ws.rateResetAt = 0;
+  ws.counted = false;
   conns.add(ws);
+  const settle = PUBSUB_URL ? room.loadedAt + PRESENCE_SETTLE_MS - Date.now() : 0;
+  if (settle > 0) ws.countTimer = setTimeout(() => countPeer(roomName, room, ws), settle);
+  else countPeer(roomName, room, ws);
 
   // initial sync + presence
   sendSync(ws, doc);
   sendFullAwareness(ws, awareness);
 
   ws.on("message", (data) => {
-    const dec = decoding.createDecoder(new Uint8Array(data));
-    const type = decoding.readVarUint(dec);
-    if (type === MSG_SYNC) {
-      const enc = encoding.createEncoder();
-      encoding.writeVarUint(enc, MSG_SYNC);
-      syncProtocol.readSyncMessage(dec, enc, doc);
-      const reply = encoding.toUint8Array(enc);
-      if (reply.length > 1) ws.send(reply);
-    } else if (type === MSG_AWARENESS) {
-      const update = decoding.readVarUint8Array(dec);
-      awarenessProtocol.applyAwarenessUpdate(awareness, update, ws);
+    if (ws.readyState !== ws.OPEN) return;
+    const now = Date.now();
+    if (now >= ws.rateResetAt) {
+      ws.rateResetAt = now + WS_RATE_WINDOW_MS;
+      ws.messages = 0;
     }
+    if (++ws.messages > WS_MAX_MESSAGES) return dropConnection(ws, roomName, 4429, "Too many messages");
+    try {
+      const dec = decoding.createDecoder(new Uint8Array(data));
+      const type = decoding.readVarUint(dec);
+      wsMessages.inc({ type: type === MSG_SYNC ? "sync" : type === MSG_AWARENESS ? "awareness" : "other" });
+      if (type === MSG_SYNC) {
+        const syncType = decoding.readVarUint(dec);
+        if (syncType === syncProtocol.messageYjsSyncStep1) {
+          const enc = encoding.createEncoder();
+          encoding.writeVarUint(enc, MSG_SYNC);
+          syncProtocol.readSyncStep1(dec, enc, doc);
+          ws.send(encoding.toUint8Array(enc));
+          return;
+        }
+        // read-only members may request state (step 1) but their updates are rejected
+        if (ws.readOnly) return;
+        const update = decoding.readVarUint8Array(dec);
+        const decoded = Y.decodeUpdate(update);
+        if (Array.from(updateRoots(doc, decoded)).some((root) => !SOCKET_ROOTS.has(root)))
+          return dropConnection(ws, roomName, 4422, "Only strokes and layers can be edited over the socket");
+        const problem = quotaProblem(roomName, room, update, decoded.structs);
+        if (problem) return dropConnection(ws, roomName, 4413, problem);
+        doc.transact((tr) => {
+          Y.applyUpdate(doc, update, ws);
+          stampStrokes(doc, tr, ws);
+        }, ws);
+      } else if (type === MSG_AWARENESS) {
+        const update = sanitizeAwarenessUpdate(decoding.readVarUint8Array(dec), ws, room.awarenessOwners);
+        awarenessProtocol.applyAwarenessUpdate(awareness, update, ws);
+      }
+    } catch (err) {
+      console.warn(`room ${roomName}: bad message from ${ws.username}: ${err.message}`);
+      dropConnection(ws, roomName, 1007, "Malformed message");
+    }
+  });
+  ws.on("error", (err) => {
+    console.warn(`room ${roomName}: socket of ${ws.username}: ${err.message}`);
+    if (err.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") wsDisconnects.inc({ code: 1009 });
   });
 
   ws.on("close", () => {
+    clearTimeout(ws.countTimer);
     conns.delete(ws);
+    if (ws.counted && !presentElsewhere(room, ws)) emitRoomEvent(roomName, "peer.left", { username: ws.username });
+    for (const id of ws.clientIds) room.awarenessOwners.delete(id);
+    awarenessProtocol.removeAwarenessStates(awareness, Array.from(ws.clientIds), CLOSE_ORIGIN);
+    scheduleUnload(roomName);
   });
 }
 
-// Accept /yjs/<room> or /yjs?room=<room>
+// Re-check every live connection after a membership or archive change, here and in the other
+// processes. Connections whose role or write access changed are closed so the client
+// reconnects and picks up its new permissions.
+function refreshRoomConns(roomName) {
+  publishRoom(roomName, BUS_REFRESH);
+  checkRoomConns(roomName);
+}
+function checkRoomConns(roomName) {
+  const live = rooms.get(roomName);
+  const rec = db.prepare(`SELECT * FROM rooms WHERE name=?`).get(roomName);
+  if (!live) return;
+  for (const ws of live.conns) {
+    const role = rec ? roomRole(rec, ws.username) : null;
+    if (!role) ws.close(4403, "Access revoked");
+    else if (role !== ws.role || roomReadOnly(rec, role) !== ws.readOnly) ws.close(4000, "Role changed");
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Accept /yjs/<room> or /yjs?room=<room>; the room must exist and the session cookie must belong to a member
 server.on("upgrade", (request, socket, head) => {
   try {
     const u = new URL(request.url, `http://${request.headers.host}`);
     if (!u.pathname.startsWith("/yjs")) return socket.destroy();
-    let room = u.pathname.replace(/^\/yjs\/?/, "");
-    if (!room) room = u.searchParams.get("room") || "default";
-    wss.handleUpgrade(request, socket, head, (ws) => onWSConnection(ws, room));
+    const raw = decodeURIComponent(u.pathname.replace(/^\/yjs\/?/, "")) || u.searchParams.get("room") || "default";
+    const parsed = RoomNameSchema.safeParse(raw);
+    if (!parsed.success) return rejectUpgrade(socket, 400, "Bad Request");
+    const room = parsed.data;
+    sessionMiddleware(request, {}, () => {
+      const username = request.session?.user?.username;
+      if (!username) return rejectUpgrade(socket, 401, "Unauthorized");
+      const rec = roomRecord(room);
+      if (!rec) return rejectUpgrade(socket, 404, "Not Found");
+      const role = roomRole(rec, username);
+      if (!role) return rejectUpgrade(socket, 403, "Forbidden");
+      db.prepare(`UPDATE rooms SET visits = visits + 1 WHERE name=?`).run(room);
+      const readOnly = roomReadOnly(rec, role);
+      wss.handleUpgrade(request, socket, head, (ws) => onWSConnection(ws, room, { username, role, readOnly }));
+    });
   } catch {
-    socket.destroy();
+    rejectUpgrade(socket, 400, "Bad Request"); // unparsable URL or room name
   }
 });
 
-// Active rooms (filter out anonymous placeholders)
-app.get("/api/rooms", (_req, res) => {
+// Active rooms the caller belongs to (filter out anonymous placeholders)
+app.get("/api/rooms", requireAuth, (req, res) => {
   res.set("Cache-Control", "no-store");
   const summary = [];
   for (const [name, { awareness }] of rooms.entries()) {
+    const rec = roomRecord(name);
+    if (!rec || !roomRole(rec, req.session.user.username)) continue;
     const peers = [];
     awareness.getStates().forEach((st, cid) => {
       const n = (st?.name || "").trim();
@@ -310,6 +1995,870 @@ app.get("/api/rooms", (_req, res) => {
   res.json(summary);
 });
 
+// --------------------------------------------------
+// Room access API (owner, members, join token)
+// --------------------------------------------------
+// Loads req.room and req.roomRole; unknown rooms are 404 and non-members get 403.
+const roomAccess = (minRole) => (req, res, next) => {
+  const rec = roomRecord(req.params.room);
+  if (!rec) return res.status(404).json({ error: "Room not found" });
+  const role = roomRole(rec, req.session.user.username);
+  if (!role || ROLE_RANK[role] < ROLE_RANK[minRole]) return res.status(403).json({ error: "Forbidden" });
+  req.room = rec;
+  req.roomRole = role;
+  next();
+};
+
+app.get("/api/rooms/:room/access", requireAuth, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  const rec = roomRecord(req.params.room);
+  if (!rec) return res.status(404).json({ error: "Room not found" });
+  const role = roomRole(rec, req.session.user.username);
+  const body = {
+    room: rec.name,
+    title: rec.title,
+    description: rec.description,
+    owner: rec.owner,
+    role,
+    archived: !!rec.archived_at,
+    createdAt: rec.created_at,
+    limits: { strokes: ROOM_MAX_STROKES, points: STROKE_MAX_POINTS }
+  };
+  if (role === "owner") {
+    body.joinToken = rec.join_token;
+    body.joinRole = rec.join_role;
+    body.members = db.prepare(`SELECT username, role FROM room_members WHERE room=? ORDER BY username`).all(rec.name);
+  }
+  res.json(body);
+});
+
+// redeem an invite link; existing members keep their current role
+app.post(
+  "/api/rooms/:room/join",
+  requireAuth,
+  safe(async (req, res) => {
+    const { token } = RoomJoinSchema.parse(req.body);
+    const username = req.session.user.username;
+    const rec = roomRecord(req.params.room);
+    if (!rec) return res.status(404).json({ error: "Room not found" });
+    const current = roomRole(rec, username);
+    if (current) return res.json({ ok: true, role: current });
+    const a = Buffer.from(token);
+    const b = Buffer.from(rec.join_token);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b))
+      return res.status(403).json({ error: "Invalid join token" });
+    db.prepare(`INSERT INTO room_members (room,username,role) VALUES (?,?,?)`).run(rec.name, username, rec.join_role);
+    res.json({ ok: true, role: rec.join_role });
+  })
+);
+
+// rotate the join token (old invite links stop working) and optionally change the role it grants
+app.post(
+  "/api/rooms/:room/token",
+  requireAuth,
+  roomAccess("owner"),
+  safe(async (req, res) => {
+    const { joinRole = req.room.join_role } = RoomTokenSchema.parse(req.body ?? {});
+    const joinToken = newJoinToken();
+    db.prepare(`UPDATE rooms SET join_token=?, join_role=? WHERE name=?`).run(joinToken, joinRole, req.room.name);
+    res.json({ ok: true, joinToken, joinRole });
+  })
+);
+
+app.put(
+  "/api/rooms/:room/members/:username",
+  requireAuth,
+  roomAccess("owner"),
+  safe(async (req, res) => {
+    const { role } = CollaboratorSchema.parse(req.body);
+    const u = findUser(req.params.username);
+    if (!u) return res.status(404).json({ error: "User not found" });
+    if (u.username === req.room.owner) return res.status(400).json({ error: "Owner cannot be a member" });
+    db.prepare(`INSERT OR REPLACE INTO room_members (room,username,role) VALUES (?,?,?)`)
+      .run(req.room.name, u.username, role);
+    refreshRoomConns(req.room.name);
+    res.json({ ok: true, username: u.username, role });
+  })
+);
+
+app.delete("/api/rooms/:room/members/:username", requireAuth, roomAccess("owner"), (req, res) => {
+  db.prepare(`DELETE FROM room_members WHERE room=? AND username=?`).run(req.room.name, req.params.username);
+  refreshRoomConns(req.room.name);
+  res.json({ ok: true });
+});
+
+// --------------------------------------------------
+// Room directory API (metadata, search, lifecycle)
+// --------------------------------------------------
+const liveConns = (name) => rooms.get(name)?.conns.size ?? 0;
+
+// "Team sketches!" -> "team-sketches-3f9a1c"
+function newRoomName(title) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 48) || "room";
+  return `${slug}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// false when the name is taken
+const createRoom = db.transaction((name, owner, title, description) => {
+  if (roomRecord(name)) return false;
+  ensureRoomRecord(name, owner);
+  db.prepare(`UPDATE rooms SET title=?, description=? WHERE name=?`).run(title, description, name);
+  return true;
+});
+const ROOM_SORT = {
+  recent: "r.last_active_at DESC",
+  popular: "r.visits DESC, r.last_active_at DESC",
+  created: "r.created_at DESC",
+  title: "COALESCE(NULLIF(r.title, ''), r.name) COLLATE NOCASE"
+};
+
+// rooms the caller owns or is a member of, searchable by name, title and description
+app.get("/api/rooms/directory", requireAuth, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  const { q, sort, status, page, limit } = RoomDirectoryQuerySchema.parse(req.query);
+  const where = `
+    FROM rooms r
+    LEFT JOIN room_members m ON m.room = r.name AND m.username = :u
+    WHERE (r.owner = :u OR m.role IS NOT NULL)
+      AND (:status = 'all' OR (:status = 'archived') = (r.archived_at IS NOT NULL))
+      AND (:q = '' OR r.name LIKE :like ESCAPE '\\' OR r.title LIKE :like ESCAPE '\\'
+           OR r.description LIKE :like ESCAPE '\\')`;
+  const params = { u: req.session.user.username, status, q, like: `%${q.replace(/[\\%_]/g, "\\$&")}%` };
+  const { total } = db.prepare(`SELECT COUNT(*) AS total ${where}`).get(params);
+  const rows = db
+    .prepare(
+      `SELECT r.name, r.title, r.description, r.owner, r.created_at, r.last_active_at, r.archived_at,
+              r.stroke_count, r.visits, CASE WHEN r.owner = :u THEN 'owner' ELSE m.role END AS role
+       ${where}
+       ORDER BY ${ROOM_SORT[sort]}, r.name
+       LIMIT :limit OFFSET :offset`
+    )
+    .all({ ...params, limit, offset: (page - 1) * limit });
+  res.json({ rooms: rows.map((r) => ({ ...r, online: liveConns(r.name) })), page, limit, total });
+});
+
+// create a room (opening /room/:id of an unknown room creates it here too); the name is derived from the title if omitted
+app.post(
+  "/api/rooms",
+  requireAuth,
+  safe(async (req, res) => {
+    const { name, title, description } = RoomCreateSchema.parse(req.body ?? {});
+    const room = name ?? newRoomName(title);
+    if (!createRoom(room, req.session.user.username, title, description))
+      return res.status(409).json({ error: "Room already exists" });
+    res.status(201).json({ name: room, title, description });
+  })
+);
+
+// rename (title), describe, archive or unarchive
+app.patch(
+  "/api/rooms/:room",
+  requireAuth,
+  roomAccess("owner"),
+  safe(async (req, res) => {
+    const { title, description, archived } = RoomUpdateSchema.parse(req.body ?? {});
+    const rec = req.room;
+    let archivedAt = rec.archived_at;
+    if (archived === false) archivedAt = null;
+    else if (archived && !archivedAt) archivedAt = new Date().toISOString();
+    db.prepare(`UPDATE rooms SET title=?, description=?, archived_at=? WHERE name=?`)
+      .run(title ?? rec.title, description ?? rec.description, archivedAt, rec.name);
+    if (archivedAt !== rec.archived_at) refreshRoomConns(rec.name);
+    const after = roomRecord(rec.name);
+    res.json({ ok: true, name: after.name, title: after.title, description: after.description, archived_at: after.archived_at });
+  })
+);
+
+app.delete("/api/rooms/:room", requireAuth, roomAccess("owner"), (req, res) => {
+  deleteRoom(req.room.name);
+  res.json({ ok: true });
+});
+
+// --------------------------------------------------
+// Snapshots and forks (room <-> saved drawing)
+// --------------------------------------------------
+const DEFAULT_LAYER_PROPS = { name: "Layer 1", visible: true, locked: false, opacity: 1, order: 0 };
+const SNAPSHOT_FRAME = { x0: 0, y0: 0, x1: 1200, y1: 720 }; // page of an empty room
+const SNAPSHOT_PADDING = 16;
+
+// The room as the browser shows it: layers bottom → top (one implicit layer when there are
+// none), strokes on a missing layer moved to the bottom one, and a page around the content.
+// keeps the entries that parse; a room holds whatever its sockets sent, so one bad entry mustn't
+// make the whole room impossible to save or export
+function validEntries(schema, list) {
+  return list.flatMap((value) => {
+    const parsed = schema.safeParse(value);
+    return parsed.success ? [parsed.data] : [];
+  });
+}
+
+function roomToDrawing(doc, title) {
+  const layers = [];
+  doc.getMap("layers").forEach((m, id) => {
+    const layer = { id, ...DEFAULT_LAYER_PROPS, ...(m instanceof Y.Map ? m.toJSON() : {}) };
+    if (LayerSchema.safeParse(layer).success) layers.push(layer);
+  });
+  if (!layers.length) layers.push({ id: "default", ...DEFAULT_LAYER_PROPS });
+  layers.sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1));
+  const strokes = validEntries(
+    StrokeSchema,
+    doc.getArray("strokes").toArray().map((item) => (item instanceof Y.Map ? item.toJSON() : item))
+  ).map((s) => ({ ...s, layer: layers.some((l) => l.id === s.layer) ? s.layer : layers[0].id }));
+  const comments = validEntries(
+    CommentSchema,
+    Array.from(doc.getMap("comments").values(), (m) => (m instanceof Y.Map ? m.toJSON() : m))
+  ).sort((a, b) => (a.at < b.at ? -1 : 1));
+  let page = SNAPSHOT_FRAME;
+  if (strokes.length) {
+    const list = strokes.map(paintBounds);
+    page = {
+      x0: Math.floor(Math.min(...list.map((b) => b.x0))) - SNAPSHOT_PADDING,
+      y0: Math.floor(Math.min(...list.map((b) => b.y0))) - SNAPSHOT_PADDING,
+      x1: Math.ceil(Math.max(...list.map((b) => b.x1))) + SNAPSHOT_PADDING,
+      y1: Math.ceil(Math.max(...list.map((b) => b.y1))) + SNAPSHOT_PADDING
+    };
+  }
+  return DrawingSchema.parse({
+    title,
+    origin: { x: page.x0, y: page.y0 },
+    size: { w: page.x1 - page.x0, h: page.y1 - page.y0 },
+    background: "#ffffff",
+    layers: layers.map(({ id, name, visible, locked, opacity }) => ({ id, name, visible, locked, opacity })),
+    strokes,
+    chat: validEntries(MessageSchema, doc.getArray("chat").toArray()),
+    comments
+  });
+}
+
+function toYMap(obj) {
+  const m = new Y.Map();
+  Object.entries(obj).forEach(([k, v]) => { if (v !== undefined) m.set(k, v); });
+  return m;
+}
+// comments are Y.Maps so resolving one and replying to it can merge; replies are append-only
+function commentToYMap({ replies = [], ...c }) {
+  const m = toYMap(c);
+  m.set("replies", Y.Array.from(replies));
+  return m;
+}
+
+// the room as a standalone SVG download (what Save would store, rendered like /api/drawings/:id.svg)
+app.get("/api/rooms/:room/export.svg", requireAuth, roomAccess("viewer"), (req, res) => {
+  const live = rooms.get(req.room.name);
+  const doc = live?.doc ?? new Y.Doc();
+  if (!live) roomStore.load(req.room.name, doc);
+  try {
+    const drawing = roomToDrawing(doc, req.room.title || req.room.name);
+    res.set("Cache-Control", "no-store");
+    res.attachment(`${req.room.name}.svg`);
+    res.type("image/svg+xml").send(drawingToSVG(drawing));
+  } finally {
+    if (!live) doc.destroy();
+  }
+});
+
+// a single Yjs update that builds the drawing's layers, strokes and conversation in an empty room
+function drawingToRoomUpdate(drawing) {
+  const doc = new Y.Doc();
+  doc.transact(() => {
+    (drawing.layers || []).forEach(({ id, ...l }, order) => doc.getMap("layers").set(id, toYMap({ ...l, order })));
+    doc.getArray("strokes").push((drawing.strokes || []).map((s) => toYMap({ ...s, id: s.id || crypto.randomUUID() })));
+    doc.getArray("chat").push(drawing.chat || []);
+    (drawing.comments || []).forEach((c) => doc.getMap("comments").set(c.id, commentToYMap(c)));
+  });
+  const update = Y.encodeStateAsUpdate(doc);
+  doc.destroy();
+  return update;
+}
+
+// save the room's current state as a new drawing owned by the caller (any member may snapshot)
+app.post(
+  "/api/rooms/:room/snapshot",
+  requireAuth,
+  limitDrawingWrites,
+  roomAccess("viewer"),
+  safe(async (req, res) => {
+    const { title, visibility = "private" } = SnapshotSchema.parse(req.body ?? {});
+    const rec = req.room;
+    const live = rooms.get(rec.name);
+    const doc = live?.doc ?? new Y.Doc();
+    if (!live) roomStore.load(rec.name, doc);
+    try {
+      const drawing = roomToDrawing(doc, title || rec.title || `#${rec.name}`);
+      const { id, rev } = createDrawing(drawing, req.session.user.username, visibility);
+      emitRoomEvent(rec.name, "drawing.saved", {
+        by: req.session.user.username,
+        drawing: { id, rev, title: drawing.title, visibility, strokes: drawing.strokes.length }
+      });
+      res.status(201).json({ id, rev, title: drawing.title, thumbnail: `/api/drawings/${id}/thumbnail.png` });
+    } finally {
+      if (!live) doc.destroy();
+    }
+  })
+);
+
+// start a new room (owned by the caller) from a saved drawing the caller can see
+app.post(
+  "/api/drawings/:id/fork",
+  requireAuth,
+  drawingAccess("viewer"),
+  safe(async (req, res) => {
+    const drawing = JSON.parse(req.drawing.json);
+    const { title = `Fork of ${drawing.title}`.slice(0, 120), name = newRoomName(title) } = ForkSchema.parse(req.body ?? {});
+    const created = db.transaction(() => {
+      if (!createRoom(name, req.session.user.username, title, `Forked from drawing ${req.drawing.id}`)) return false;
+      roomStore.append(name, drawingToRoomUpdate(drawing));
+      db.prepare(`UPDATE rooms SET stroke_count=? WHERE name=?`).run((drawing.strokes || []).length, name);
+      return true;
+    })();
+    if (!created) return res.status(409).json({ error: "Room already exists" });
+    res.status(201).json({ name, title, url: `/room/${encodeURIComponent(name)}` });
+  })
+);
+
+// --------------------------------------------------
+// Room chat and comment pins
+// --------------------------------------------------
+// Both live in the room's Y.Doc ("chat" array, "comments" map), so they sync like strokes and
+// are part of snapshots. Only these routes write them, so the author always comes from the
+// session and view-only members can take part too; sockets that try are closed with 4422.
+const CHAT_KEEP = 500; // oldest messages are dropped beyond this
+
+// apply `fn` to the room's doc (loading it if needed); the update is stored and broadcast as usual.
+// `origin` tells room event observers who made the change ({ username }, plus `clear` for clears).
+function editRoomDoc(name, fn, origin = null) {
+  const r = getRoom(name);
+  try {
+    let result;
+    r.doc.transact(() => { result = fn(r.doc); }, origin);
+    return result;
+  } finally {
+    scheduleUnload(name);
+  }
+}
+
+const newMessage = (author, text) => ({ id: crypto.randomUUID(), author, text, at: new Date().toISOString() });
+
+// members may talk in any room that isn't archived
+const roomWritable = (req, res, next) =>
+  req.room.archived_at ? res.status(403).json({ error: "Room is archived" }) : next();
+
+// loads req.comment (a Y.Map) or 404s
+const roomComment = (req, res, next) => {
+  const m = getRoom(req.room.name).doc.getMap("comments").get(req.params.id);
+  scheduleUnload(req.room.name);
+  if (!m) return res.status(404).json({ error: "Comment not found" });
+  req.comment = m;
+  next();
+};
+
+app.post(
+  "/api/rooms/:room/chat",
+  requireAuth,
+  roomAccess("viewer"),
+  roomWritable,
+  safe(async (req, res) => {
+    const { text } = MessagePostSchema.parse(req.body);
+    const msg = newMessage(req.session.user.username, text);
+    editRoomDoc(req.room.name, (doc) => {
+      const chat = doc.getArray("chat");
+      chat.push([msg]);
+      if (chat.length > CHAT_KEEP) chat.delete(0, chat.length - CHAT_KEEP);
+    });
+    res.status(201).json(msg);
+  })
+);
+
+app.post(
+  "/api/rooms/:room/comments",
+  requireAuth,
+  roomAccess("viewer"),
+  roomWritable,
+  safe(async (req, res) => {
+    const { x, y, text } = CommentCreateSchema.parse(req.body);
+    const comment = { ...newMessage(req.session.user.username, text), x, y, resolved: false, resolvedBy: null, replies: [] };
+    editRoomDoc(req.room.name, (doc) => doc.getMap("comments").set(comment.id, commentToYMap(comment)));
+    res.status(201).json(comment);
+  })
+);
+
+app.post(
+  "/api/rooms/:room/comments/:id/replies",
+  requireAuth,
+  roomAccess("viewer"),
+  roomWritable,
+  roomComment,
+  safe(async (req, res) => {
+    const { text } = MessagePostSchema.parse(req.body);
+    const reply = newMessage(req.session.user.username, text);
+    editRoomDoc(req.room.name, () => req.comment.get("replies").push([reply]));
+    res.status(201).json(reply);
+  })
+);
+
+// resolve / reopen: the comment's author or anyone who can edit the room
+app.patch(
+  "/api/rooms/:room/comments/:id",
+  requireAuth,
+  roomAccess("viewer"),
+  roomWritable,
+  roomComment,
+  safe(async (req, res) => {
+    const { resolved } = CommentUpdateSchema.parse(req.body);
+    const username = req.session.user.username;
+    if (req.roomRole === "viewer" && req.comment.get("author") !== username)
+      return res.status(403).json({ error: "Forbidden" });
+    editRoomDoc(req.room.name, () => {
+      req.comment.set("resolved", resolved);
+      req.comment.set("resolvedBy", resolved ? username : null);
+    });
+    res.json({ ok: true, resolved });
+  })
+);
+
+// the comment's author or the room owner
+app.delete("/api/rooms/:room/comments/:id", requireAuth, roomAccess("viewer"), roomWritable, roomComment, (req, res) => {
+  if (req.roomRole !== "owner" && req.comment.get("author") !== req.session.user.username)
+    return res.status(403).json({ error: "Forbidden" });
+  editRoomDoc(req.room.name, (doc) => doc.getMap("comments").delete(req.params.id));
+  res.json({ ok: true });
+});
+
+// --------------------------------------------------
+// Room strokes API and webhooks (for scripts and bots)
+// --------------------------------------------------
+// Strokes read, added or cleared here go through the room's live Y.Doc, so connected clients see
+// the change at once. Room events are raised by the process that accepted a change and POSTed to
+// the room's webhooks as JSON { id, event, room, at, data }, signed with the webhook's secret:
+//   X-Dkin-Signature: sha256=<hex HMAC-SHA256 of "<X-Dkin-Timestamp>.<body>">
+// Network errors and non-2xx answers are retried, waiting WEBHOOK_RETRY_MS and four times longer
+// after each failure; `id` stays the same across retries.
+// Webhook hosts must resolve to public addresses only, both when the webhook is created and on
+// every delivery, which then connects to the address it checked (so DNS can't be switched to an
+// internal one in between). WEBHOOK_ALLOW_PRIVATE=1 lifts this for local development.
+const WEBHOOKS_PER_ROOM = 10;
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_MS = Number(process.env.WEBHOOK_RETRY_MS) || 2_000;
+const WEBHOOK_KEEP_MS = 7 * 24 * 60 * 60_000; // finished deliveries are kept this long
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+const webhookDeliveries = counter("dkin_webhook_deliveries_total", "Webhook delivery attempts, by result");
+
+// loopback, private (RFC 1918, ULA), link-local, CGNAT, multicast, IPv4-mapped and other special-purpose ranges
+const nonPublicAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+  ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([ip, bits]) => nonPublicAddresses.addSubnet(ip, bits, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32], ["fc00::", 7],
+  ["fe80::", 10], ["ff00::", 8]
+].forEach(([ip, bits]) => nonPublicAddresses.addSubnet(ip, bits, "ipv6"));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !nonPublicAddresses.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// the address to connect to for a webhook URL: { address, family }, or { error } when the host
+// doesn't resolve or any of its addresses isn't public
+async function resolveWebhookTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  } catch {
+    return { error: "Webhook host doesn't resolve" };
+  }
+  if (!addresses.length) return { error: "Webhook host doesn't resolve" };
+  if (!WEBHOOK_ALLOW_PRIVATE && !addresses.every((a) => isPublicAddress(a.address)))
+    return { error: "Webhook URL must point to a public address" };
+  return addresses[0];
+}
+
+// POSTs to `url` over a connection to the already checked `address`; resolves to the status code
+function postWebhook(url, { address, family }, headers, body) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        lookup: (_host, opts, cb) => (opts.all ? cb(null, [{ address, family }]) : cb(null, address, family))
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// queue `event` for every webhook of the room that asked for it
+function emitRoomEvent(room, event, data) {
+  const hooks = db
+    .prepare(`SELECT id, events FROM room_webhooks WHERE room=?`)
+    .all(room)
+    .filter((h) => JSON.parse(h.events).includes(event));
+  if (!hooks.length) return;
+  const at = new Date().toISOString();
+  const insert = db.prepare(
+    `INSERT INTO webhook_deliveries (id,webhook_id,event,body,status,next_at,created_at) VALUES (?,?,?,?,'pending',?,?)`
+  );
+  for (const h of hooks) {
+    const id = crypto.randomUUID();
+    insert.run(id, h.id, event, JSON.stringify({ id, event, room, at, data }), Date.now(), at);
+  }
+  setImmediate(pumpWebhooks);
+}
+
+// stroke.added and room.cleared, for changes made through this process (its sockets or this API).
+// A socket's "clear" is just a delete, so it counts as one when a single change removes several
+// strokes and leaves none; undoing the only stroke of a room doesn't. The API marks its clears.
+function observeRoomEvents(name, doc) {
+  const ystrokes = doc.getArray("strokes");
+  ystrokes.observe((event, tr) => {
+    if (tr.origin === STORE_ORIGIN || tr.origin === REMOTE_ORIGIN) return;
+    const by = tr.origin?.username ?? null;
+    const added = [];
+    event.changes.added.forEach((item) =>
+      item.content.getContent().forEach((s) => added.push(s instanceof Y.Map ? s.toJSON() : s))
+    );
+    if (added.length) return emitRoomEvent(name, "stroke.added", { by, strokes: added });
+    let removed = 0;
+    event.changes.deleted.forEach((item) => (removed += item.length));
+    if (removed && ystrokes.length === 0 && (tr.origin?.clear || removed > 1)) emitRoomEvent(name, "room.cleared", { by });
+  });
+}
+
+// The owner only sees why a delivery failed in these words: the target's own status codes and
+// error text would let them probe whatever answers at the URL. The details go to the server log.
+const DELIVERY_ERRORS = {
+  blocked: "Target address not allowed",
+  refused: "Target answered with an error",
+  unreachable: "Target unreachable or too slow"
+};
+
+async function deliverWebhook(d) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac("sha256", d.secret).update(`${timestamp}.${d.body}`).digest("hex");
+  let status = null;
+  let error = null;
+  let detail = null;
+  const target = await resolveWebhookTarget(d.url);
+  if (target.error) {
+    error = DELIVERY_ERRORS.blocked;
+    detail = target.error;
+  } else {
+    try {
+      status = await postWebhook(
+        d.url,
+        target,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "dkin-webhooks",
+          "X-Dkin-Event": d.event,
+          "X-Dkin-Delivery": d.id,
+          "X-Dkin-Timestamp": timestamp,
+          "X-Dkin-Signature": `sha256=${signature}`
+        },
+        d.body
+      );
+      if (status < 200 || status > 299) {
+        error = DELIVERY_ERRORS.refused;
+        detail = `HTTP ${status}`;
+      }
+    } catch (err) {
+      error = DELIVERY_ERRORS.unreachable;
+      detail = err.message;
+    }
+  }
+  const attempts = d.attempts + 1;
+  if (!error) {
+    db.prepare(
+      `UPDATE webhook_deliveries SET status='delivered', attempts=?, response_status=?, last_error=NULL, delivered_at=? WHERE id=?`
+    ).run(attempts, status, new Date().toISOString(), d.id);
+    return webhookDeliveries.inc({ result: "delivered" });
+  }
+  const failed = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  db.prepare(`UPDATE webhook_deliveries SET status=?, attempts=?, response_status=?, last_error=?, next_at=? WHERE id=?`)
+    .run(failed ? "failed" : "pending", attempts, status, error, Date.now() + WEBHOOK_RETRY_MS * 4 ** (attempts - 1), d.id);
+  webhookDeliveries.inc({ result: failed ? "failed" : "retry" });
+  if (failed) console.warn(`webhook ${d.webhook_id}: gave up on ${d.event} delivery ${d.id} after ${attempts} attempts (${detail})`);
+}
+
+// Sends whatever is due. Each delivery is claimed first (several processes share the queue) with
+// a lease, so one left "sending" by a process that died is picked up again once the lease ends.
+let pumping = false;
+async function pumpWebhooks() {
+  if (pumping) return;
+  pumping = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const due = db
+        .prepare(
+          `SELECT d.id, d.webhook_id, d.event, d.body, d.status, d.attempts, d.next_at, w.url, w.secret
+           FROM webhook_deliveries d JOIN room_webhooks w ON w.id = d.webhook_id
+           WHERE d.status IN ('pending','sending') AND d.next_at <= ?
+           ORDER BY d.next_at LIMIT 20`
+        )
+        .all(now);
+      if (!due.length) break;
+      const claim = db.prepare(`UPDATE webhook_deliveries SET status='sending', next_at=? WHERE id=? AND status=? AND next_at=?`);
+      const mine = due.filter((d) => claim.run(now + 2 * WEBHOOK_TIMEOUT_MS, d.id, d.status, d.next_at).changes === 1);
+      await Promise.all(mine.map(deliverWebhook));
+    }
+  } catch (err) {
+    console.error("webhooks:", err);
+  } finally {
+    pumping = false;
+  }
+}
+setInterval(pumpWebhooks, 1000).unref();
+setInterval(() => {
+  db.prepare(`DELETE FROM webhook_deliveries WHERE status IN ('delivered','failed') AND created_at < ?`)
+    .run(new Date(Date.now() - WEBHOOK_KEEP_MS).toISOString());
+}, 60 * 60_000).unref();
+
+// one webhook of a room, or all of them
+function deleteWebhooks(room, id = null) {
+  const hooks = db.prepare(`SELECT id FROM room_webhooks WHERE room=? AND (? IS NULL OR id=?)`).all(room, id, id);
+  for (const h of hooks) {
+    db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id=?`).run(h.id);
+    db.prepare(`DELETE FROM room_webhooks WHERE id=?`).run(h.id);
+  }
+  return hooks.length;
+}
+
+app.get("/api/rooms/:room/strokes", requireAuth, roomAccess("viewer"), (req, res) => {
+  const live = rooms.get(req.room.name);
+  const doc = live?.doc ?? new Y.Doc();
+  if (!live) roomStore.load(req.room.name, doc);
+  try {
+    const strokes = doc.getArray("strokes").toArray().map((s) => (s instanceof Y.Map ? s.toJSON() : s));
+    res.set("Cache-Control", "no-store");
+    res.json({ room: req.room.name, strokes });
+  } finally {
+    if (!live) doc.destroy();
+  }
+});
+
+// appended on top, stamped with the caller as author; a given `id` is kept unless it is taken
+app.post("/api/rooms/:room/strokes", requireAuth, limitDrawingWrites, roomAccess("editor"), roomWritable, (req, res) => {
+  const { strokes } = RoomStrokesSchema.parse(req.body ?? {});
+  const username = req.session.user.username;
+  const at = new Date().toISOString();
+  const result = editRoomDoc(
+    req.room.name,
+    (doc) => {
+      const ystrokes = doc.getArray("strokes");
+      if (ystrokes.length + strokes.length > ROOM_MAX_STROKES) return { error: `Room is full (${ROOM_MAX_STROKES} strokes at most)` };
+      if (rooms.get(req.room.name).bytes >= ROOM_MAX_BYTES) return { error: `Room is full (${ROOM_MAX_BYTES} bytes at most)` };
+      const taken = new Set(ystrokes.toArray().map((s) => (s instanceof Y.Map ? s.get("id") : s.id)));
+      const placed = strokes.map((s) => {
+        const id = s.id && !taken.has(s.id) ? s.id : crypto.randomUUID();
+        taken.add(id);
+        return { ...s, id, author: username, at: s.at ?? at };
+      });
+      ystrokes.push(placed.map(toYMap));
+      return { ids: placed.map((s) => s.id) };
+    },
+    { username }
+  );
+  if (result.error) return res.status(413).json({ error: result.error });
+  res.status(201).json(result);
+});
+
+app.delete("/api/rooms/:room/strokes", requireAuth, limitDrawingWrites, roomAccess("editor"), roomWritable, (req, res) => {
+  const removed = editRoomDoc(
+    req.room.name,
+    (doc) => {
+      const ystrokes = doc.getArray("strokes");
+      const n = ystrokes.length;
+      if (n) ystrokes.delete(0, n);
+      return n;
+    },
+    { username: req.session.user.username, clear: true }
+  );
+  res.json({ ok: true, removed });
+});
+
+// webhooks are the owner's; the secret is only shown when one is created
+const webhookView = (h) => ({ id: h.id, url: h.url, events: JSON.parse(h.events), createdBy: h.created_by, createdAt: h.created_at });
+
+app.get("/api/rooms/:room/webhooks", requireAuth, roomAccess("owner"), (req, res) => {
+  res.set("Cache-Control", "no-store");
+  const last = db.prepare(
+    `SELECT event, status, attempts, last_error AS lastError, created_at AS createdAt
+     FROM webhook_deliveries WHERE webhook_id=? ORDER BY created_at DESC LIMIT 1`
+  );
+  const hooks = db.prepare(`SELECT * FROM room_webhooks WHERE room=? ORDER BY created_at`).all(req.room.name);
+  res.json({ webhooks: hooks.map((h) => ({ ...webhookView(h), lastDelivery: last.get(h.id) ?? null })) });
+});
+
+app.post(
+  "/api/rooms/:room/webhooks",
+  requireAuth,
+  roomAccess("owner"),
+  safe(async (req, res) => {
+    const { url, events = WEBHOOK_EVENTS } = WebhookCreateSchema.parse(req.body ?? {});
+    const { n } = db.prepare(`SELECT COUNT(*) AS n FROM room_webhooks WHERE room=?`).get(req.room.name);
+    if (n >= WEBHOOKS_PER_ROOM) return res.status(409).json({ error: `At most ${WEBHOOKS_PER_ROOM} webhooks per room` });
+    const target = await resolveWebhookTarget(url);
+    if (target.error) return res.status(400).json({ error: target.error });
+    const hook = {
+      id: crypto.randomUUID(),
+      room: req.room.name,
+      url,
+      secret: crypto.randomBytes(24).toString("base64url"),
+      events: JSON.stringify([...new Set(events)]),
+      created_by: req.session.user.username,
+      created_at: new Date().toISOString()
+    };
+    db.prepare(
+      `INSERT INTO room_webhooks (id,room,url,secret,events,created_by,created_at)
+       VALUES (:id,:room,:url,:secret,:events,:created_by,:created_at)`
+    ).run(hook);
+    res.status(201).json({ ...webhookView(hook), secret: hook.secret });
+  })
+);
+
+app.delete("/api/rooms/:room/webhooks/:id", requireAuth, roomAccess("owner"), (req, res) => {
+  if (!deleteWebhooks(req.room.name, req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+  res.json({ ok: true });
+});
+
+// the latest 50 deliveries, newest first
+app.get("/api/rooms/:room/webhooks/:id/deliveries", requireAuth, roomAccess("owner"), (req, res) => {
+  const hook = db.prepare(`SELECT id FROM room_webhooks WHERE id=? AND room=?`).get(req.params.id, req.room.name);
+  if (!hook) return res.status(404).json({ error: "Webhook not found" });
+  res.set("Cache-Control", "no-store");
+  const deliveries = db
+    .prepare(
+      `SELECT id, event, status, attempts, last_error AS lastError,
+              created_at AS createdAt, delivered_at AS deliveredAt
+       FROM webhook_deliveries WHERE webhook_id=? ORDER BY created_at DESC, rowid DESC LIMIT 50`
+    )
+    .all(hook.id);
+  res.json({ deliveries });
+});
+
+// --------------------------------------------------
+// Operations (health, metrics, admin)
+// --------------------------------------------------
+// readiness: 503 when the database doesn't answer; a broker outage is reported but tolerated,
+// since each process keeps serving its own sockets meanwhile
+app.get("/health", (_req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    db.prepare(`SELECT name FROM rooms LIMIT 1`).get();
+  } catch (err) {
+    return res.status(503).json({ ok: false, db: err.message });
+  }
+  res.json({ ok: true, db: "ok", pubsub: pubsub.ready() ? "ok" : "down", rooms: rooms.size, uptime: Math.round(process.uptime()) });
+});
+
+// received-message totals for the last 10 s, one per second
+const messageTotals = [];
+setInterval(() => {
+  messageTotals.push(wsMessages.total());
+  if (messageTotals.length > 11) messageTotals.shift();
+}, 1000).unref();
+
+const liveRooms = () => Array.from(rooms, ([name, r]) => ({ name, r }));
+gauge("dkin_rooms_active", "Rooms loaded in this process", () => [[{}, rooms.size]]);
+gauge("dkin_ws_connections", "Open room sockets", () => [[{}, liveRooms().reduce((n, { r }) => n + r.conns.size, 0)]]);
+gauge("dkin_ws_messages_per_second", "Messages received on room sockets, averaged over 10 s", () => {
+  const n = messageTotals.length - 1;
+  return [[{}, n > 0 ? (messageTotals[n] - messageTotals[0]) / n : 0]];
+});
+gauge("dkin_room_connections", "Open sockets per loaded room", () => liveRooms().map(({ name, r }) => [{ room: name }, r.conns.size]));
+gauge("dkin_room_peers", "Present clients per loaded room, all processes", () =>
+  liveRooms().map(({ name, r }) => [{ room: name }, Array.from(r.awareness.getStates().values()).filter((st) => st?.name).length])
+);
+gauge("dkin_room_strokes", "Strokes per loaded room", () =>
+  liveRooms().map(({ name, r }) => [{ room: name }, r.doc.getArray("strokes").length])
+);
+gauge("dkin_room_document_bytes", "Stored update bytes per loaded room (the document size after compaction)", () =>
+  liveRooms().map(({ name, r }) => [{ room: name }, r.bytes])
+);
+gauge("dkin_pubsub_up", "1 while the pub/sub broker is reachable", () => [[{}, pubsub.ready() ? 1 : 0]]);
+
+// Prometheus can't log in, so it sends METRICS_TOKEN as a bearer token; admins may also look
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+function metricsTokenOk(req) {
+  const given = Buffer.from(req.get("authorization") || "");
+  const want = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  return !!METRICS_TOKEN && given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+app.get("/metrics", (req, res) => {
+  if (!metricsTokenOk(req)) {
+    if (!req.session.user) return res.status(401).json({ error: "Auth required" });
+    if (!isAdmin(req.session.user.username)) return res.status(403).json({ error: "Admins only" });
+  }
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// who is in a loaded room: present clients from every process plus our own sockets
+function roomUsers(r) {
+  const names = new Set(Array.from(r.conns, (ws) => ws.username));
+  r.awareness.getStates().forEach((st) => st?.name && names.add(st.name));
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+// every room, loaded ones first, with who is connected
+app.get("/api/admin/rooms", requireAdmin, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  const { q, limit } = AdminRoomsQuerySchema.parse(req.query);
+  const where = `WHERE :q = '' OR name LIKE :like ESCAPE '\\' OR title LIKE :like ESCAPE '\\' OR owner LIKE :like ESCAPE '\\'`;
+  const params = { q, like: `%${q.replace(/[\\%_]/g, "\\$&")}%` };
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM rooms ${where}`).get(params);
+  const rows = db
+    .prepare(
+      `SELECT name, title, owner, created_at, last_active_at, archived_at, stroke_count, visits FROM rooms ${where}
+       ORDER BY name IN (SELECT value FROM json_each(:live)) DESC, last_active_at DESC, name
+       LIMIT :limit`
+    )
+    .all({ ...params, limit, live: JSON.stringify(Array.from(rooms.keys())) });
+  const out = rows.map((row) => {
+    const r = rooms.get(row.name);
+    if (!r) return { ...row, live: false, bytes: roomStore.size(row.name), connections: 0, users: [] };
+    const strokes = r.doc.getArray("strokes").length;
+    return { ...row, stroke_count: strokes, live: true, bytes: r.bytes, connections: r.conns.size, users: roomUsers(r) };
+  });
+  const connections = liveRooms().reduce((n, { r }) => n + r.conns.size, 0);
+  res.json({ rooms: out, total, live: rooms.size, connections });
+});
+
+app.post("/api/admin/rooms/:room/kick", requireAdmin, (req, res) => {
+  const { username } = KickSchema.parse(req.body ?? {});
+  if (!roomRecord(req.params.room)) return res.status(404).json({ error: "Room not found" });
+  console.warn(`admin ${req.session.user.username}: kicking ${username} from room ${req.params.room}`);
+  res.json({ ok: true, kicked: kickFromRoom(req.params.room, username) });
+});
+
+// disconnect everyone and unload the room; it stays, and opens again on the next visit
+app.post("/api/admin/rooms/:room/close", requireAdmin, (req, res) => {
+  if (!roomRecord(req.params.room)) return res.status(404).json({ error: "Room not found" });
+  console.warn(`admin ${req.session.user.username}: closing room ${req.params.room}`);
+  res.json({ ok: true, kicked: kickFromRoom(req.params.room) });
+});
+
+// delete the room and everything in it, whoever owns it
+app.delete("/api/admin/rooms/:room", requireAdmin, (req, res) => {
+  if (!roomRecord(req.params.room)) return res.status(404).json({ error: "Room not found" });
+  console.warn(`admin ${req.session.user.username}: purging room ${req.params.room}`);
+  deleteRoom(req.params.room);
+  res.json({ ok: true });
+});
+
 // --------------------------------------------------
 // 404 + Error handlers
 // --------------------------------------------------
@@ -318,6 +2867,7 @@ app.use((err, req, res, _next) => {
   console.error(err);
   if (err instanceof z.ZodError)
     return res.status(400).json({ error: "Invalid payload", issues: err.issues });
+  if (err.type === "entity.too.large") return res.status(413).json({ error: "Payload too large" });
   res.status(500).json({ error: "Server error", message: err.message });
 });
 
@@ -0,0 +1,268 @@
+// Run with `npm test` (node --test). Starts real server processes on a scratch database and talks to
+// them over HTTP and y-websocket, the way the room page does.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import net from "node:net";
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import WebSocket from "ws";
+import * as Y from "yjs";
+import { WebsocketProvider } from "y-websocket";
+import { createBrokerStandIn } from "./pubsub.js";
+
+const SERVER = new URL("./server.js", import.meta.url).pathname;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+async function until(check, what) {
+  for (let i = 0; i < 500; i++) {
+    if (await check()) return;
+    await sleep(20);
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+function scratchDB(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dkin-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "drawings.sqlite");
+}
+
+async function startBroker(t) {
+  const broker = createBrokerStandIn().listen(0, "127.0.0.1");
+  await once(broker, "listening");
+  t.after(() => broker.close());
+  return `redis://127.0.0.1:${broker.address().port}`;
+}
+
+async function freePort() {
+  const probe = net.createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  await new Promise((r) => probe.close(r));
+  return port;
+}
+
+// resolves with the server's base URL once it answers /health
+async function startServer(t, env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ["ignore", "ignore", "inherit"]
+  });
+  t.after(async () => {
+    if (child.exitCode !== null) return;
+    child.kill();
+    await once(child, "exit");
+  });
+  const base = `http://127.0.0.1:${port}`;
+  await until(() => fetch(`${base}/health`).then((r) => r.ok, () => false), "the server to start");
+  return base;
+}
+
+// registers and returns a fetch that keeps the session cookie, like a browser tab
+async function signUp(base, username) {
+  const res = await fetch(`${base}/auth/register`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username, password: "correct horse" })
+  });
+  assert.equal(res.status, 200);
+  return session(base, username, res.headers.get("set-cookie").split(";")[0]);
+}
+// the same login against another server sharing the database
+function session(base, username, cookie) {
+  const api = (url, { body, ...init } = {}) =>
+    fetch(`${base}${url}`, {
+      ...init,
+      headers: { cookie, ...(body !== undefined && { "content-type": "application/json" }) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  return { base, username, cookie, api };
+}
+
+// opens the room the way the room page does and resolves once the first sync is done
+async function joinRoom(t, { base, cookie }, room) {
+  class CookieSocket extends WebSocket {
+    constructor(url, protocols) {
+      super(url, protocols, { headers: { cookie } });
+    }
+  }
+  const doc = new Y.Doc();
+  const provider = new WebsocketProvider(base.replace(/^http/, "ws") + "/yjs", room, doc, {
+    WebSocketPolyfill: CookieSocket,
+    disableBc: true
+  });
+  provider.awareness.setLocalState({ color: "#000000" }); // presence, as the room page sets it
+  t.after(() => { provider.destroy(); doc.destroy(); });
+  await until(() => provider.synced, `a sync with ${room}`);
+  return { doc, provider };
+}
+
+function penStroke(id, x, y) {
+  const m = new Y.Map();
+  Object.entries({ id, tool: "pen", color: "#000000", size: 2, points: [{ x, y }, { x: x + 10, y: y + 10 }] })
+    .forEach(([k, v]) => m.set(k, v));
+  return m;
+}
+
+test("a malformed stroke in a room doesn't break snapshots or exports", { timeout: 30_000 }, async (t) => {
+  const base = await startServer(t, { DB_PATH: scratchDB(t) });
+  const ada = await signUp(base, "ada");
+  assert.equal((await ada.api("/api/rooms", { method: "POST", body: { name: "board" } })).status, 201);
+  const { doc } = await joinRoom(t, ada, "board");
+  const bogus = new Y.Map();
+  bogus.set("tool", "bogus");
+  doc.getArray("strokes").push([bogus, penStroke("ok", 40, 40)]);
+  await until(async () => (await (await ada.api("/api/rooms/board/strokes")).json()).strokes?.length === 2, "the strokes to reach the server");
+
+  const snap = await ada.api("/api/rooms/board/snapshot", { method: "POST", body: { title: "with junk" } });
+  assert.equal(snap.status, 201);
+  const { id } = await snap.json();
+  const saved = await (await ada.api(`/api/drawings/${id}`)).json();
+  assert.deepEqual(saved.strokes.map((s) => s.id), ["ok"]);
+
+  const svg = await ada.api("/api/rooms/board/export.svg");
+  assert.equal(svg.status, 200);
+  assert.match(await svg.text(), /<svg/);
+});
+
+test("sockets can't write chat or comments", { timeout: 30_000 }, async (t) => {
+  const base = await startServer(t, { DB_PATH: scratchDB(t) });
+  const ada = await signUp(base, "ada");
+  await ada.api("/api/rooms", { method: "POST", body: { name: "board" } });
+  const comment = await (await ada.api("/api/rooms/board/comments", { method: "POST", body: { x: 1, y: 2, text: "hi" } })).json();
+
+  const attempts = [
+    (doc) => doc.getArray("chat").push([{ id: "x", author: "root", text: "spoofed", at: new Date().toISOString() }]),
+    (doc) => doc.getMap("comments").get(comment.id).set("author", "root"),
+    (doc) => doc.getMap("comments").delete(comment.id)
+  ];
+  for (const attempt of attempts) {
+    const { doc, provider } = await joinRoom(t, ada, "board");
+    await until(() => doc.getMap("comments").has(comment.id), "the comment to sync");
+    const closed = new Promise((resolve) => provider.once("connection-close", (e) => { provider.disconnect(); resolve(e); }));
+    attempt(doc);
+    assert.equal((await closed).code, 4422);
+  }
+
+  const { doc, provider } = await joinRoom(t, ada, "board");
+  await until(() => doc.getMap("comments").has(comment.id), "the comment to sync");
+  assert.equal(doc.getArray("chat").length, 0);
+  assert.equal(doc.getMap("comments").get(comment.id).get("author"), "ada");
+  doc.getArray("strokes").push([penStroke("ok", 0, 0)]);
+  doc.getArray("strokes").get(0).set("color", "#ff0000"); // a key of a stroke, and a stroke after it
+  doc.getArray("strokes").push([penStroke("next", 5, 5)]);
+  await until(async () => (await (await ada.api("/api/rooms/board/strokes")).json()).strokes.length === 2, "the strokes to be stored");
+  const { strokes } = await (await ada.api("/api/rooms/board/strokes")).json();
+  assert.equal(strokes[0].color, "#ff0000");
+  assert.equal(provider.wsconnected, true);
+});
+
+test("the server credits socket strokes to the socket's user", { timeout: 30_000 }, async (t) => {
+  const base = await startServer(t, { DB_PATH: scratchDB(t) });
+  const ada = await signUp(base, "ada");
+  await ada.api("/api/rooms", { method: "POST", body: { name: "board" } });
+  const { doc } = await joinRoom(t, ada, "board");
+  const strokes = doc.getArray("strokes");
+  const forged = penStroke("forged", 0, 0);
+  forged.set("author", "grace");
+  forged.set("at", "2001-01-01T00:00:00.000Z");
+  const honest = penStroke("honest", 9, 9);
+  honest.set("author", "ada");
+  const at = new Date().toISOString();
+  honest.set("at", at);
+  strokes.push([forged, honest]);
+
+  // the correction comes back over the socket
+  await until(() => strokes.get(0).get("author") === "ada", "the author to be corrected");
+  assert.notEqual(strokes.get(0).get("at"), "2001-01-01T00:00:00.000Z");
+  assert.equal(strokes.get(1).get("at"), at);
+
+  strokes.get(1).set("author", "grace"); // existing strokes keep theirs
+  await until(() => strokes.get(1).get("author") === "ada", "the author to be restored");
+  const stored = (await (await ada.api("/api/rooms/board/strokes")).json()).strokes;
+  assert.deepEqual(stored.map((s) => s.author), ["ada", "ada"]);
+});
+
+test("two servers on one broker and database serve the same rooms", { timeout: 60_000 }, async (t) => {
+  const env = { DB_PATH: scratchDB(t), PUBSUB_URL: await startBroker(t) };
+  const [a, b] = [await startServer(t, env), await startServer(t, env)];
+  const onA = await signUp(a, "ada");
+  const onB = session(b, onA.username, onA.cookie);
+  for (const name of ["live", "cold"]) await onA.api("/api/rooms", { method: "POST", body: { name } });
+
+  // live: a stroke drawn through A reaches a peer connected to B
+  const left = await joinRoom(t, onA, "live");
+  const right = await joinRoom(t, onB, "live");
+  left.doc.getArray("strokes").push([penStroke("across", 0, 0)]);
+  await until(() => right.doc.getArray("strokes").length === 1, "the stroke to reach B's peer");
+  assert.equal(right.doc.getArray("strokes").get(0).get("id"), "across");
+
+  // cold: B has never loaded the room, so it reads what A stored
+  const writer = await joinRoom(t, onA, "cold");
+  writer.doc.getArray("strokes").push([penStroke("stored", 0, 0)]);
+  await until(async () => (await (await onA.api("/api/rooms/cold/strokes")).json()).strokes.length === 1, "A to store the stroke");
+  const { strokes } = await (await onB.api("/api/rooms/cold/strokes")).json();
+  assert.deepEqual(strokes.map((s) => s.id), ["stored"]);
+  const reader = await joinRoom(t, onB, "cold");
+  assert.deepEqual(reader.doc.getArray("strokes").toJSON().map((s) => s.id), ["stored"]);
+});
+
+test("a successful password change resets the account's failed logins", { timeout: 60_000 }, async (t) => {
+  const base = await startServer(t, { DB_PATH: scratchDB(t), LOGIN_MAX_FAILURES: "3" });
+  const ada = await signUp(base, "ada");
+  const change = (currentPassword, newPassword) =>
+    ada.api("/auth/password", { method: "POST", body: { currentPassword, newPassword } });
+  const login = (password) =>
+    fetch(`${base}/auth/login`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ username: "ada", password })
+    });
+  for (let i = 0; i < 2; i++) assert.equal((await change("wrong password", "another one")).status, 401);
+  assert.equal((await change("correct horse", "battery staple")).status, 200);
+  for (let i = 0; i < 2; i++) assert.equal((await login("wrong password")).status, 401);
+  assert.equal((await login("battery staple")).status, 200);
+});
+
+test("peer.joined and peer.left count a user once across servers", { timeout: 60_000 }, async (t) => {
+  const events = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      events.push(JSON.parse(body).event);
+      res.end();
+    });
+  }).listen(0, "127.0.0.1");
+  await once(receiver, "listening");
+  t.after(() => receiver.close());
+  const env = { DB_PATH: scratchDB(t), PUBSUB_URL: await startBroker(t), WEBHOOK_ALLOW_PRIVATE: "1" };
+  const [a, b] = [await startServer(t, env), await startServer(t, env)];
+  const onA = await signUp(a, "ada");
+  const onB = session(b, onA.username, onA.cookie);
+  await onA.api("/api/rooms", { method: "POST", body: { name: "board" } });
+  const hook = await onA.api("/api/rooms/board/webhooks", {
+    method: "POST",
+    body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ["peer.joined", "peer.left"] }
+  });
+  assert.equal(hook.status, 201);
+
+  const left = await joinRoom(t, onA, "board");
+  await until(() => events.length === 1, "peer.joined");
+  const right = await joinRoom(t, onB, "board");
+  await until(() => right.provider.awareness.getStates().size === 2, "A's presence to reach B");
+  await sleep(1500); // past B's settling time: B counts its socket without announcing it
+  left.provider.destroy();
+  await until(() => right.provider.awareness.getStates().size === 1, "A's presence to go");
+  await sleep(300);
+  assert.deepEqual(events, ["peer.joined"]);
+  right.provider.destroy();
+  await until(() => events.length === 2, "peer.left");
+  await sleep(300);
+  assert.deepEqual(events, ["peer.joined", "peer.left"]);
+});